@@ -1,5 +1,464 @@
 // background.js - Service Worker for Manga Viewer Extension
 
+importScripts('blob-store.js');
+
+// 外部ライブラリを使わない無圧縮(STORE)ZIPビルダー
+const ZipBuilder = {
+  crcTable: null,
+  crc32(bytes) {
+    if (!this.crcTable) {
+      this.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        this.crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  },
+  dosDateTime(date = new Date()) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+  },
+  build(files) {
+    const encoder = new TextEncoder();
+    const { time, day } = this.dosDateTime();
+    const localParts = [], centralParts = [];
+    let offset = 0;
+    files.forEach(file => {
+      const name = encoder.encode(file.name);
+      const data = file.data;
+      const crc = this.crc32(data);
+      // ファイル名はUTF-8 (汎用フラグ bit 11)
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true); local.setUint16(4, 20, true); local.setUint16(6, 0x0800, true);
+      local.setUint16(8, 0, true); local.setUint16(10, time, true); local.setUint16(12, day, true);
+      local.setUint32(14, crc, true); local.setUint32(18, data.length, true); local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true); local.setUint16(28, 0, true);
+      localParts.push(new Uint8Array(local.buffer), name, data);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true); central.setUint16(4, 20, true); central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true); central.setUint16(10, 0, true); central.setUint16(12, time, true);
+      central.setUint16(14, day, true); central.setUint32(16, crc, true); central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true); central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true);
+      centralParts.push(new Uint8Array(central.buffer), name);
+      offset += 30 + name.length + data.length;
+    });
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); end.setUint16(8, files.length, true); end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true); end.setUint32(16, offset, true);
+    return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)], { type: 'application/zip' });
+  }
+};
+
+const ComicInfo = {
+  escape(text) {
+    return String(text).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+  },
+  build({ title, pageCount, manga = 'YesAndRightToLeft' }) {
+    const pages = Array.from({ length: pageCount }, (_, i) => `    <Page Image="${i}"${i === 0 ? ' Type="FrontCover"' : ''} />`).join('\n');
+    return `<?xml version="1.0" encoding="utf-8"?>
+<ComicInfo xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <Title>${this.escape(title)}</Title>
+  <PageCount>${pageCount}</PageCount>
+  <Manga>${manga}</Manga>
+  <Pages>
+${pages}
+  </Pages>
+</ComicInfo>
+`;
+  }
+};
+
+const ZipDownloader = {
+  cancelledTabs: new Set(),
+  async fetchBytes(url) {
+    const response = await fetch(url, { credentials: 'include' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return new Uint8Array(await response.arrayBuffer());
+  },
+  async blobToDataUrl(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return `data:${blob.type};base64,${btoa(binary)}`;
+  },
+  notify(tabId, message) {
+    if (tabId == null) return;
+    chrome.tabs.sendMessage(tabId, message).catch(() => { });
+  },
+  async run(request, tabId) {
+    this.cancelledTabs.delete(tabId);
+    const files = [], failed = [];
+    for (let i = 0; i < request.entries.length; i++) {
+      if (this.cancelledTabs.has(tabId)) return { success: false, cancelled: true };
+      const entry = request.entries[i];
+      try {
+        files.push({ name: entry.filename, data: await this.fetchBytes(entry.url) });
+      } catch (e) {
+        console.error('Zip entry failed:', entry.url, e);
+        failed.push(entry.filename);
+      }
+      this.notify(tabId, { action: 'zipProgress', done: i + 1, total: request.entries.length });
+    }
+    if (!files.length) return { success: false, error: '画像を取得できませんでした' };
+    const xml = ComicInfo.build({ ...request.comicInfo, pageCount: files.length });
+    files.push({ name: 'ComicInfo.xml', data: new TextEncoder().encode(xml) });
+    const url = await BlobUrls.create(ZipBuilder.build(files));
+    try {
+      const downloadId = await chrome.downloads.download({ url, filename: request.filename, conflictAction: 'uniquify', saveAs: false });
+      BlobUrls.track(downloadId, url);
+      return { success: true, downloadId, count: files.length - 1, failed };
+    } catch (error) {
+      BlobUrls.release(url);
+      throw error;
+    }
+  }
+};
+
+// 大きなBlobはdata URLにするとメモリを使い切るため、IndexedDBに置いてオフスクリーン文書でBlob URLにする
+const BlobUrls = {
+  DOCUMENT_PATH: 'offscreen.html',
+  // ZIPアーカイブのように、URLを手放すときに一緒に消してよいBlobのキー
+  TEMPORARY_PREFIX: 'zip-',
+  keys: new Map(),
+  downloads: new Map(),
+  active: 0,
+  creating: null,
+  async ensureDocument() {
+    if (await chrome.offscreen.hasDocument()) return;
+    if (!this.creating) {
+      // 文書が無ければ発行済みのURLも無いので、Service Worker停止などで残った一時的なBlobを片付けてから作る
+      this.creating = BlobStore.removePrefix(this.TEMPORARY_PREFIX)
+        .then(() => chrome.offscreen.createDocument({
+          url: this.DOCUMENT_PATH,
+          reasons: [chrome.offscreen.Reason.BLOBS],
+          justification: 'ダウンロードするBlobのURLを作成するため'
+        }))
+        .finally(() => { this.creating = null; });
+    }
+    await this.creating;
+  },
+  // 発行中のURLと処理中の呼び出しがある間は文書を閉じない
+  async request(key, temporary) {
+    await this.ensureDocument();
+    const response = await chrome.runtime.sendMessage({ action: 'createBlobUrl', key });
+    if (!response?.success) throw new Error(response?.error || 'ダウンロード用のURLを作成できませんでした');
+    this.active++;
+    this.keys.set(response.url, { key, temporary });
+    return response.url;
+  },
+  // 一度きりのBlobを置いてURLを発行する（URLを手放すとBlobも消える）
+  async create(blob) {
+    const key = `${this.TEMPORARY_PREFIX}${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    this.active++;
+    try {
+      await this.ensureDocument();
+      await BlobStore.put(key, blob);
+      return await this.request(key, true);
+    } catch (error) {
+      await BlobStore.remove(key).catch(() => { });
+      throw error;
+    } finally {
+      this.finish();
+    }
+  },
+  // 保存済みのBlobのURLを発行する（Blobは呼び出し側が消す）
+  async open(key) {
+    this.active++;
+    try {
+      return await this.request(key, false);
+    } finally {
+      this.finish();
+    }
+  },
+  track(downloadId, url) {
+    this.downloads.set(downloadId, url);
+  },
+  async release(url) {
+    const entry = this.keys.get(url);
+    this.keys.delete(url);
+    await chrome.runtime.sendMessage({ action: 'revokeBlobUrl', url, key: entry?.temporary ? entry.key : null }).catch(() => { });
+    this.finish();
+  },
+  finish() {
+    this.active = Math.max(0, this.active - 1);
+    if (!this.active) chrome.offscreen.closeDocument().catch(() => { });
+  },
+  handleChange(delta) {
+    const url = this.downloads.get(delta.id);
+    if (!url || !delta.state || delta.state.current === 'in_progress') return;
+    this.downloads.delete(delta.id);
+    this.release(url);
+  }
+};
+
+// しおり用の小さなサムネイルを生成する（ページ側のCanvasがCORSで汚染される場合の代替）
+const ThumbnailMaker = {
+  async create(url, height) {
+    const response = await fetch(url, { credentials: 'include' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const bitmap = await createImageBitmap(await response.blob());
+    const scale = height / bitmap.height;
+    const canvas = new OffscreenCanvas(Math.max(1, Math.round(bitmap.width * scale)), height);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return ZipDownloader.blobToDataUrl(await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.7 }));
+  }
+};
+
+// 複数の画像（またはその一部）を1枚に描き直す（CORSでページ側のCanvasが使えない場合）
+const ImageComposer = {
+  async loadBitmaps(urls) {
+    return Promise.all(urls.map(async url => {
+      const response = await fetch(url, { credentials: 'include' });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return createImageBitmap(await response.blob());
+    }));
+  },
+  async toDataUrl(canvas) {
+    return ZipDownloader.blobToDataUrl(await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.92 }));
+  },
+  // 分割された画像を columns 列で左上から行ごとに並べる。縦に分割された画像は columns = 1
+  async stitch(urls, columns) {
+    const bitmaps = await this.loadBitmaps(urls);
+    const rows = Math.ceil(bitmaps.length / columns);
+    const colWidths = Array.from({ length: columns }, (_, c) => Math.max(0, ...bitmaps.filter((_, i) => i % columns === c).map(b => b.width)));
+    const rowHeights = Array.from({ length: rows }, (_, r) => Math.max(0, ...bitmaps.slice(r * columns, (r + 1) * columns).map(b => b.height)));
+    const canvas = new OffscreenCanvas(colWidths.reduce((a, b) => a + b, 0), rowHeights.reduce((a, b) => a + b, 0));
+    const ctx = canvas.getContext('2d');
+    bitmaps.forEach((bitmap, i) => {
+      const c = i % columns, r = Math.floor(i / columns);
+      const x = colWidths.slice(0, c).reduce((a, b) => a + b, 0), y = rowHeights.slice(0, r).reduce((a, b) => a + b, 0);
+      ctx.drawImage(bitmap, x, y);
+      bitmap.close();
+    });
+    return this.toDataUrl(canvas);
+  },
+  // pieces: [{ url, sx, sy, sw, sh, dx, dy, dw, dh }]（タイルの並べ替えやスプライトの組み立て）
+  async compose(width, height, pieces) {
+    const urls = [...new Set(pieces.map(piece => piece.url))];
+    const bitmaps = new Map((await this.loadBitmaps(urls)).map((bitmap, i) => [urls[i], bitmap]));
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    pieces.forEach(piece => ctx.drawImage(bitmaps.get(piece.url), piece.sx, piece.sy, piece.sw, piece.sh, piece.dx, piece.dy, piece.dw, piece.dh));
+    bitmaps.forEach(bitmap => bitmap.close());
+    return this.toDataUrl(canvas);
+  }
+};
+
+// 個別画像ダウンロードのジョブキュー（chrome.storage.localに永続化し、再起動後も再開する）
+const DownloadQueue = {
+  STORAGE_KEY: 'mangaViewerDownloadJobs',
+  MAX_ATTEMPTS: 4,
+  RETRY_BASE_MS: 2000,
+  RETRY_ALARM: 'mangaViewerDownloadRetry',
+  KEEP_FINISHED_JOBS: 10,
+  jobs: [],
+  waiters: new Map(),
+  retryTimer: null,
+  ready: null,
+  load() {
+    if (!this.ready) {
+      this.ready = chrome.storage.local.get(this.STORAGE_KEY).then(async result => {
+        this.jobs = result[this.STORAGE_KEY] || [];
+        this.jobs.forEach(job => job.items.filter(item => item.status === 'done' && item.url).forEach(item => this.dropPayload(item)));
+        // 前回のService Worker終了時に進行中だったページを確認し直す
+        for (const job of this.jobs) {
+          for (const item of job.items.filter(it => it.status === 'active')) {
+            const [download] = item.downloadId != null ? await chrome.downloads.search({ id: item.downloadId }) : [];
+            if (download?.state === 'complete') item.status = 'done';
+            else if (download?.state === 'in_progress') this.track(job, item);
+            else item.status = 'pending';
+          }
+        }
+      });
+    }
+    return this.ready;
+  },
+  save() {
+    return chrome.storage.local.set({ [this.STORAGE_KEY]: this.jobs });
+  },
+  summarize(job) {
+    const counts = { pending: 0, active: 0, done: 0, failed: 0, cancelled: 0 };
+    job.items.forEach(item => counts[item.status]++);
+    return { ...counts, total: job.items.length, finished: !counts.pending && !counts.active };
+  },
+  notify(job) {
+    if (job.tabId == null) return;
+    const message = {
+      action: 'downloadJobUpdate',
+      job: { id: job.id, folderName: job.folderName, status: job.status, summary: this.summarize(job), items: job.items.map(({ page, filename, status, attempts, error }) => ({ page, filename, status, attempts, error })) }
+    };
+    chrome.tabs.sendMessage(job.tabId, message).catch(() => { });
+  },
+  async add({ folderName, items, concurrency, pageUrl }, tabId) {
+    await this.load();
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const job = {
+      id, folderName, pageUrl, tabId,
+      concurrency: Math.max(1, Math.min(parseInt(concurrency) || 3, 6)),
+      status: 'running', createdAt: Date.now(),
+      items: await Promise.all(items.map(async (item, i) => ({
+        ...item, ...await this.storePayload(`${id}-${i}`, item.url),
+        status: 'pending', attempts: 0, nextAttemptAt: 0, downloadId: null, error: null
+      })))
+    };
+    this.jobs.push(job);
+    this.prune();
+    await this.save();
+    this.notify(job);
+    this.pump();
+    return job;
+  },
+  // 結合したページなどの data: / blob: のURLは数MBになり、保存のたびに書き直されるため、IndexedDBに置いてキーだけを持つ
+  async storePayload(key, url) {
+    if (!/^(data|blob):/.test(url)) return { url };
+    try {
+      const response = await fetch(url);
+      await BlobStore.put(key, await response.blob());
+      return { url: null, blobKey: key };
+    } catch (e) {
+      return { url };
+    }
+  },
+  // 保存済みのページはもう取り直さないので、URLとBlobを手放す
+  dropPayload(item) {
+    if (item.blobKey) BlobStore.remove(item.blobKey).catch(() => { });
+    item.url = null;
+    item.blobKey = null;
+  },
+  prune() {
+    const finished = this.jobs.filter(job => job.status !== 'running');
+    const excess = finished.length - this.KEEP_FINISHED_JOBS;
+    if (excess > 0) {
+      const removed = new Set(finished.slice(0, excess));
+      removed.forEach(job => job.items.forEach(item => this.dropPayload(item)));
+      this.jobs = this.jobs.filter(job => !removed.has(job));
+    }
+  },
+  find(jobId) {
+    return this.jobs.find(job => job.id === jobId);
+  },
+  async pump() {
+    await this.load();
+    clearTimeout(this.retryTimer);
+    const now = Date.now();
+    let nextWake = Infinity;
+    for (const job of this.jobs.filter(j => j.status === 'running')) {
+      let active = job.items.filter(item => item.status === 'active').length;
+      for (const item of job.items) {
+        if (active >= job.concurrency) break;
+        if (item.status !== 'pending') continue;
+        if (item.nextAttemptAt > now) { nextWake = Math.min(nextWake, item.nextAttemptAt); continue; }
+        active++;
+        this.start(job, item);
+      }
+      if (this.summarize(job).finished) {
+        job.status = 'finished';
+        this.notify(job);
+      }
+    }
+    // Service Workerが停止するとタイマーは消えるため、アラームでも起こす（アラームは最短30秒に丸められる）
+    if (nextWake !== Infinity) {
+      this.retryTimer = setTimeout(() => this.pump(), nextWake - now);
+      chrome.alarms.create(this.RETRY_ALARM, { when: nextWake });
+    } else {
+      chrome.alarms.clear(this.RETRY_ALARM);
+    }
+    await this.save();
+  },
+  async start(job, item) {
+    item.status = 'active';
+    item.attempts++;
+    this.notify(job);
+    let blobUrl = null;
+    try {
+      if (item.blobKey) blobUrl = await BlobUrls.open(item.blobKey);
+      item.downloadId = await chrome.downloads.download({ url: blobUrl || item.url, filename: item.filename, conflictAction: 'overwrite', saveAs: false });
+      if (blobUrl) BlobUrls.track(item.downloadId, blobUrl);
+      await this.save();
+      this.track(job, item);
+    } catch (error) {
+      if (blobUrl) BlobUrls.release(blobUrl);
+      this.fail(job, item, error.message);
+    }
+  },
+  track(job, item) {
+    this.waiters.set(item.downloadId, { job, item });
+  },
+  async handleChange(delta) {
+    await this.load();
+    const waiter = this.waiters.get(delta.id);
+    if (!waiter || !delta.state) return;
+    const { job, item } = waiter;
+    if (delta.state.current === 'complete') {
+      this.waiters.delete(delta.id);
+      if (item.status !== 'active') return;
+      item.status = 'done'; item.error = null;
+      this.dropPayload(item);
+      this.notify(job);
+      this.pump();
+    } else if (delta.state.current === 'interrupted') {
+      this.waiters.delete(delta.id);
+      if (item.status !== 'active') return;
+      this.fail(job, item, delta.error?.current || 'interrupted');
+    }
+  },
+  fail(job, item, error) {
+    item.error = error;
+    if (item.attempts < this.MAX_ATTEMPTS && job.status === 'running') {
+      item.status = 'pending';
+      item.nextAttemptAt = Date.now() + this.RETRY_BASE_MS * 2 ** (item.attempts - 1);
+    } else {
+      item.status = 'failed';
+    }
+    this.notify(job);
+    this.pump();
+  },
+  async retryFailed(jobId) {
+    await this.load();
+    const job = this.find(jobId);
+    if (!job) return null;
+    job.items.filter(item => item.status === 'failed' || item.status === 'cancelled').forEach(item => {
+      Object.assign(item, { status: 'pending', attempts: 0, nextAttemptAt: 0, error: null });
+    });
+    job.status = 'running';
+    this.notify(job);
+    await this.pump();
+    return job;
+  },
+  async cancel(jobId) {
+    await this.load();
+    const job = this.find(jobId);
+    if (!job) return;
+    job.status = 'cancelled';
+    for (const item of job.items) {
+      if (item.status === 'active' && item.downloadId != null) {
+        this.waiters.delete(item.downloadId);
+        await chrome.downloads.cancel(item.downloadId).catch(() => { });
+      }
+      if (item.status === 'active' || item.status === 'pending') item.status = 'cancelled';
+    }
+    this.notify(job);
+    await this.save();
+  }
+};
+
+chrome.downloads.onChanged.addListener(delta => DownloadQueue.handleChange(delta));
+chrome.downloads.onChanged.addListener(delta => BlobUrls.handleChange(delta));
+chrome.runtime.onStartup.addListener(() => DownloadQueue.pump());
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === DownloadQueue.RETRY_ALARM) DownloadQueue.pump();
+});
+DownloadQueue.pump();
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'downloadImage') {
     chrome.downloads.download({
@@ -16,4 +475,58 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     });
     return true; // 非同期応答
   }
-});
\ No newline at end of file
+  if (request.action === 'downloadZip') {
+    ZipDownloader.run(request, sender.tab?.id)
+      .then(sendResponse)
+      .catch(error => {
+        console.error('Zip download failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+  if (request.action === 'cancelZip') {
+    if (sender.tab) ZipDownloader.cancelledTabs.add(sender.tab.id);
+    return false;
+  }
+  if (request.action === 'createThumbnail') {
+    ThumbnailMaker.create(request.url, request.height)
+      .then(dataUrl => sendResponse({ success: true, dataUrl }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  if (request.action === 'stitchImages') {
+    ImageComposer.stitch(request.urls, request.columns || 1)
+      .then(dataUrl => sendResponse({ success: true, dataUrl }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  if (request.action === 'composeImage') {
+    ImageComposer.compose(request.width, request.height, request.pieces)
+      .then(dataUrl => sendResponse({ success: true, dataUrl }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  if (request.action === 'startDownloadJob') {
+    DownloadQueue.add(request, sender.tab?.id)
+      .then(job => sendResponse({ success: true, jobId: job.id }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  if (request.action === 'retryDownloadJob') {
+    DownloadQueue.retryFailed(request.jobId).then(job => sendResponse({ success: !!job }));
+    return true;
+  }
+  if (request.action === 'cancelDownloadJob') {
+    DownloadQueue.cancel(request.jobId).then(() => sendResponse({ success: true }));
+    return true;
+  }
+  if (request.action === 'getDownloadJob') {
+    DownloadQueue.load().then(() => {
+      const job = [...DownloadQueue.jobs].reverse().find(j => j.pageUrl === request.pageUrl);
+      if (job && sender.tab) job.tabId = sender.tab.id;
+      if (job) DownloadQueue.notify(job);
+      sendResponse({ success: true, jobId: job?.id || null });
+    });
+    return true;
+  }
+});
@@ -0,0 +1,40 @@
+// blob-store.js - Service Worker とオフスクリーン文書の間で大きなBlobを受け渡す (background / offscreen 共通)
+
+const BlobStore = {
+  DB_NAME: 'mangaViewerBlobs',
+  STORE_NAME: 'blobs',
+  open() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(this.STORE_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  },
+  async run(mode, action) {
+    const db = await this.open();
+    try {
+      return await new Promise((resolve, reject) => {
+        const tx = db.transaction(this.STORE_NAME, mode);
+        const request = action(tx.objectStore(this.STORE_NAME));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    } finally {
+      db.close();
+    }
+  },
+  put(key, blob) {
+    return this.run('readwrite', store => store.put(blob, key));
+  },
+  get(key) {
+    return this.run('readonly', store => store.get(key));
+  },
+  remove(key) {
+    return this.run('readwrite', store => store.delete(key));
+  },
+  removePrefix(prefix) {
+    return this.run('readwrite', store => store.delete(IDBKeyRange.bound(prefix, `${prefix}\uffff`)));
+  }
+};
@@ -9,28 +9,60 @@
     minImageHeight: 400, minImageWidth: 200, enableKeyControls: true, enableMouseWheel: true,
     minMangaImageCount: 2, defaultBg: '#333333', refreshDebounceMs: 250,
     autoDetectionInterval: 3000, scrollDetectionThrottle: 500,
-    niconico: { defaultThreshold: 0.65, minPixelCount: 200000, transparentAlpha: 10 }
+    niconico: { defaultThreshold: 0.65, minPixelCount: 200000, transparentAlpha: 10 },
+    // フレーム型で入れ子の iframe をたどる深さと、ページ画像とみなす最小幅
+    frames: { maxDepth: 4, minImageWidth: 500 },
+    chapter: { autoLaunchTtlMs: 120000, autoLaunchTimeoutMs: 15000, autoLaunchPollMs: 500 },
+    progress: { maxEntries: 100, saveDebounceMs: 1000, resumePromptMs: 8000 },
+    bookmark: { thumbnailHeight: 96 },
+    // 数字キーでのページ番号入力が自動で取り消されるまでの時間
+    pageJump: { timeoutMs: 3000 },
+    // ボタンを押し続けたときの連続入力（ページ送り系のみ）
+    gamepad: { repeatDelay: 400, repeatInterval: 150, repeatCommands: ['pageLeft', 'pageRight', 'next', 'prev', 'nextSingle', 'prevSingle'] },
+    // 見開き画像（横長）の判定のため、表示位置の前後何スロットまで画像サイズを先に調べるか（先読みの範囲が上限）
+    layout: { measureRange: 4 },
+    // 先読みする見開き数（前後それぞれ）の既定値と、デコード済み画像を保持する件数
+    preload: { defaultDistance: 2, maxDistance: 10, cacheSize: 30 },
+    // スワイプ・長押し・下に引いて閉じる操作の判定（距離は px、時間は ms）
+    touch: { swipeDistance: 60, swipeMaxMs: 800, longPressMs: 500, moveTolerance: 10, pullDistance: 120, clickGuardMs: 400 },
+    // 分割画像の結合。自動判定では結合後の高さ/幅が maxAspect 以下に収まる範囲で、境目の色が近いものをつなぐ
+    stitch: { lookahead: 8, maxAspect: 1.7, edgeTolerance: 24, edgeSamples: 64, quality: 0.92 },
+    // 画像補正のアンシャープマスクのぼかし半径（px）
+    filters: { sharpenRadius: 1.2 },
+    // タイル復元・スプライト型で組み立てたページ。settleMs は検出テストで組み立てを待つ上限
+    extract: { quality: 0.92, settleMs: 3000, minTiles: 2 },
+    // 余白の自動カット。解析は長辺 analyzeSize px に縮小して行い、1辺あたり maxRatio までしか削らない
+    crop: { defaultTolerance: 30, maxTolerance: 100, analyzeSize: 300, noiseRatio: 0.005, maxRatio: 0.3, margin: 0.005 },
+    zoom: { minScale: 1, maxScale: 6, keyStep: 1.25, wheelSensitivity: 0.002, doubleClickScale: 2.5, doubleClickMs: 250, dragThreshold: 5, loupeSize: 220, loupeScale: 2.5 },
+    // 縦スクロール表示。速度は px/秒、ステップは表示領域の高さに対する割合
+    scroll: { maxWidth: 1200, defaultSpeed: 120, minSpeed: 20, maxSpeed: 600, pageStepRatio: 0.85, smallStepRatio: 0.25 }
   };
 
   const DETECTION_MODES = {
     'auto': { name: '自動検出' }, 'smart': { name: 'スマート検出' }, 'deep-scan': { name: 'ディープスキャン' },
-    'basic': { name: '基本型' }, 'frame-reader': { name: 'フレーム型' }, 'niconico-seiga': { name: 'Canvasモード' },
+    'basic': { name: '基本型' }, 'background': { name: '背景画像型' }, 'frame-reader': { name: 'フレーム型' }, 'niconico-seiga': { name: 'Canvasモード' },
     'reading-content': { name: 'エリア型', selector: '.reading-content img', dataSrcSupport: true },
     'chapter-content': { name: 'チャプター型', selector: '.chapter-content img', dataSrcSupport: true },
     'manga-reader': { name: 'リーダー型', selector: '.manga-reader img', dataSrcSupport: false },
-    'entry-content': { name: 'エントリー型', selector: '.entry-content img', dataSrcSupport: true }
+    'entry-content': { name: 'エントリー型', selector: '.entry-content img', dataSrcSupport: true },
+    'custom': { name: 'カスタムルール' },
+    // extract を持つモードは PageExtractors でページを組み立て直す。サイト専用の復元方法も
+    // ここに { name, extract: () => PageExtractors.extractTiles({ selector, columns, rows, permutation }), condition } の形で追加する。
+    // 自動検出では condition（対象サイトかどうかの軽い判定）を持つものだけを試す
+    'tile-shuffle': { name: 'タイル復元', extract: () => PageExtractors.extractTiles(Settings.getTileRule()), condition: () => Settings.getTileRule() },
+    'css-sprite': { name: 'スプライト型', extract: () => PageExtractors.extractSprites() }
   };
 
   const state = {
     currentPage: 0, images: [], isFullscreen: false, lastImageCount: 0, detectedMode: null, isEnabled: false,
-    downloadCancelled: false,
-    settings: { siteMode: 'hide', detectionMode: 'auto', singlePageMode: false, bgColor: CONFIG.defaultBg, niconicoThreshold: CONFIG.niconico.defaultThreshold },
+    downloadCancelled: false, downloadJobId: null, zipInProgress: false,
+    settings: { siteMode: 'hide', detectionMode: 'auto', singlePageMode: false, bgColor: CONFIG.defaultBg, niconicoThreshold: CONFIG.niconico.defaultThreshold, detectionRule: null, tileRule: null, chapterSelector: null, coverAlone: false, scrollMode: false, readingDirection: 'rtl', tapZones: 'halves', imageFilters: null, stitchMode: '', autoCrop: false, cropTolerance: CONFIG.crop.defaultTolerance, fitMode: 'page', zoomPersist: false, preloadDistance: CONFIG.preload.defaultDistance, keyBindings: ShortcutDefinitions.resolve(null), gamepadBindings: ShortcutDefinitions.resolveGamepad(null), autoScrollSpeed: CONFIG.scroll.defaultSpeed },
     niconico: { threshold: CONFIG.niconico.defaultThreshold }
   };
 
-  const elements = { container: null, imageArea: null, bgToggleBtn: null, fullscreenBtn: null, toggleButton: null, niconicoThresholdUI: null, singlePageBtn: null, navigationElement: null, downloadPanel: null, downloadBtn: null };
+  const elements = { container: null, imageArea: null, bgToggleBtn: null, fullscreenBtn: null, toggleButton: null, niconicoThresholdUI: null, zoomPanel: null, filterPanel: null, loupe: null, loadAllBtn: null, helpOverlay: null, pageJumpInput: null, singlePageBtn: null, scrollModeBtn: null, autoScrollBtn: null, navigationElement: null, downloadPanel: null, downloadBtn: null, chapterCard: null, resumePrompt: null, bookmarkPanel: null, bookmarkTicks: null, overview: null, layoutPanel: null };
   const observers = { intersection: null, mutation: null };
-  const timers = { refresh: null, navigation: null, scroll: null, polling: null };
+  const timers = { refresh: null, navigation: null, scroll: null, polling: null, progress: null, click: null, pageJump: null };
   const watched = new WeakSet();
 
   const Utils = {
@@ -56,22 +88,137 @@
     async load() {
       try {
         const hostname = window.location.hostname;
-        const result = await chrome.storage.sync.get(['mangaViewerDomains', `mangaDetectionMode_${hostname}`, `mangaViewerSinglePage_${hostname}`, 'mangaViewerBg', 'mangaViewerNiconicoThreshold']);
+        const result = await chrome.storage.sync.get(null);
         const siteSettings = result.mangaViewerDomains || {};
-        state.settings.siteMode = siteSettings[hostname] || 'hide';
-        state.settings.detectionMode = result[`mangaDetectionMode_${hostname}`] || 'auto';
-        state.settings.singlePageMode = result[`mangaViewerSinglePage_${hostname}`] === 'true';
+        state.settings.siteMode = this.resolveSiteValue(siteSettings, '') || 'hide';
+        state.settings.detectionMode = this.resolveSiteValue(result, 'mangaDetectionMode_') || 'auto';
+        state.settings.singlePageMode = this.resolveSiteValue(result, 'mangaViewerSinglePage_') === 'true';
         state.settings.bgColor = result.mangaViewerBg || CONFIG.defaultBg;
         state.settings.niconicoThreshold = parseFloat(result.mangaViewerNiconicoThreshold || CONFIG.niconico.defaultThreshold);
+        state.settings.detectionRule = this.resolveSiteValue(result, 'mangaDetectionRule_') || null;
+        state.settings.tileRule = this.resolveSiteValue(result, 'mangaTileRule_') || null;
+        state.settings.chapterSelector = this.resolveSiteValue(result, 'mangaChapterSelector_') || null;
+        state.settings.coverAlone = this.resolveSiteValue(result, 'mangaViewerCoverAlone_') === 'true';
+        state.settings.scrollMode = this.resolveSiteValue(result, 'mangaViewerScrollMode_') === 'true';
+        state.settings.readingDirection = this.resolveSiteValue(result, 'mangaViewerDirection_') === 'ltr' ? 'ltr' : 'rtl';
+        const tapZones = this.resolveSiteValue(result, 'mangaViewerTapZones_');
+        state.settings.tapZones = TapZones.LAYOUTS[tapZones] ? tapZones : 'halves';
+        state.settings.imageFilters = this.resolveSiteValue(result, 'mangaViewerFilters_') || null;
+        state.settings.autoCrop = this.resolveSiteValue(result, 'mangaViewerAutoCrop_') === 'true';
+        state.settings.stitchMode = this.resolveSiteValue(result, 'mangaViewerStitch_') || '';
+        const cropTolerance = parseInt(result.mangaViewerCropTolerance);
+        state.settings.cropTolerance = isNaN(cropTolerance) ? CONFIG.crop.defaultTolerance : cropTolerance;
+        state.settings.autoScrollSpeed = parseInt(result.mangaViewerAutoScrollSpeed) || CONFIG.scroll.defaultSpeed;
+        state.settings.fitMode = result.mangaViewerFitMode || 'page';
+        state.settings.zoomPersist = result.mangaViewerZoomPersist === 'true';
+        state.settings.keyBindings = ShortcutDefinitions.resolve(result[ShortcutDefinitions.STORAGE_KEY]);
+        state.settings.gamepadBindings = ShortcutDefinitions.resolveGamepad(result[ShortcutDefinitions.GAMEPAD_STORAGE_KEY]);
+        const preloadDistance = parseInt(result.mangaViewerPreloadDistance);
+        state.settings.preloadDistance = isNaN(preloadDistance) ? CONFIG.preload.defaultDistance : preloadDistance;
         state.niconico.threshold = state.settings.niconicoThreshold;
         state.isEnabled = (state.settings.siteMode === 'show');
       } catch (error) {
         state.isEnabled = false;
       }
     },
+    // ホスト名の完全一致を優先し、なければ `*.example.com` 形式のうち最も長く一致するものを使う
+    resolveSiteValue(values, prefix) {
+      const hostname = window.location.hostname;
+      if (values[`${prefix}${hostname}`] !== undefined) return values[`${prefix}${hostname}`];
+      const patterns = Object.keys(values)
+        .filter(key => key.startsWith(`${prefix}*.`))
+        .map(key => key.slice(prefix.length))
+        .filter(pattern => hostname === pattern.slice(2) || hostname.endsWith(pattern.slice(1)))
+        .sort((a, b) => b.length - a.length);
+      return patterns.length ? values[`${prefix}${patterns[0]}`] : undefined;
+    },
+    recordLastUsed() {
+      chrome.storage.local.get('mangaViewerLastUsed').then(result => {
+        const lastUsed = result.mangaViewerLastUsed || {};
+        lastUsed[window.location.hostname] = Date.now();
+        return chrome.storage.local.set({ mangaViewerLastUsed: lastUsed });
+      }).catch(() => { });
+    },
     getDetectionMode() { return state.settings.detectionMode; },
     getSinglePageMode() { return state.settings.singlePageMode; },
     getBgColor() { return state.settings.bgColor; },
+    getCoverAlone() { return state.settings.coverAlone; },
+    getScrollMode() { return state.settings.scrollMode; },
+    getAutoScrollSpeed() { return state.settings.autoScrollSpeed; },
+    isLeftToRight() { return state.settings.readingDirection === 'ltr'; },
+    getTapZones() { return state.settings.tapZones; },
+    getImageFilters() { return state.settings.imageFilters; },
+    getAutoCrop() { return state.settings.autoCrop; },
+    getStitchMode() { return state.settings.stitchMode; },
+    async setStitchMode(mode) {
+      const key = `mangaViewerStitch_${window.location.hostname}`;
+      if (mode) await chrome.storage.sync.set({ [key]: mode });
+      else await chrome.storage.sync.remove(key);
+      state.settings.stitchMode = mode;
+    },
+    getCropTolerance() { return Math.max(0, Math.min(CONFIG.crop.maxTolerance, state.settings.cropTolerance)); },
+    async setAutoCrop(value) {
+      await chrome.storage.sync.set({ [`mangaViewerAutoCrop_${window.location.hostname}`]: value ? 'true' : 'false' });
+      state.settings.autoCrop = value;
+    },
+    async setCropTolerance(tolerance) {
+      await chrome.storage.sync.set({ 'mangaViewerCropTolerance': tolerance.toString() });
+      state.settings.cropTolerance = tolerance;
+    },
+    getFitMode() { return state.settings.fitMode; },
+    getZoomPersist() { return state.settings.zoomPersist; },
+    getPreloadDistance() { return Math.max(0, Math.min(CONFIG.preload.maxDistance, state.settings.preloadDistance)); },
+    async setPreloadDistance(distance) {
+      await chrome.storage.sync.set({ 'mangaViewerPreloadDistance': distance.toString() });
+      state.settings.preloadDistance = distance;
+    },
+    async setFitMode(mode) {
+      await chrome.storage.sync.set({ 'mangaViewerFitMode': mode });
+      state.settings.fitMode = mode;
+    },
+    async setZoomPersist(value) {
+      await chrome.storage.sync.set({ 'mangaViewerZoomPersist': value ? 'true' : 'false' });
+      state.settings.zoomPersist = value;
+    },
+    async setReadingDirection(direction) {
+      await chrome.storage.sync.set({ [`mangaViewerDirection_${window.location.hostname}`]: direction });
+      state.settings.readingDirection = direction;
+    },
+    async setTapZones(layout) {
+      await chrome.storage.sync.set({ [`mangaViewerTapZones_${window.location.hostname}`]: layout });
+      state.settings.tapZones = layout;
+    },
+    // 既定値に戻した場合は保存しているサイト設定を削除する
+    async setImageFilters(filters) {
+      const key = `mangaViewerFilters_${window.location.hostname}`;
+      if (filters) await chrome.storage.sync.set({ [key]: filters });
+      else await chrome.storage.sync.remove(key);
+      state.settings.imageFilters = filters;
+    },
+    async setScrollMode(value) {
+      await chrome.storage.sync.set({ [`mangaViewerScrollMode_${window.location.hostname}`]: value ? 'true' : 'false' });
+      state.settings.scrollMode = value;
+    },
+    async setAutoScrollSpeed(speed) {
+      await chrome.storage.sync.set({ 'mangaViewerAutoScrollSpeed': speed.toString() });
+      state.settings.autoScrollSpeed = speed;
+    },
+    async setCoverAlone(value) {
+      await chrome.storage.sync.set({ [`mangaViewerCoverAlone_${window.location.hostname}`]: value ? 'true' : 'false' });
+      state.settings.coverAlone = value;
+    },
+    getDetectionRule() { return state.settings.detectionRule?.selector ? state.settings.detectionRule : null; },
+    getTileRule() {
+      const rule = state.settings.tileRule;
+      return rule && (rule.selector || rule.include) && rule.columns > 0 && rule.rows > 0 ? rule : null;
+    },
+    getMinImageSize() {
+      const rule = this.getDetectionRule();
+      return {
+        width: parseInt(rule?.minWidth) || CONFIG.minImageWidth,
+        height: parseInt(rule?.minHeight) || CONFIG.minImageHeight
+      };
+    },
     async toggleBgColor() {
       const newColor = this.getBgColor() === '#333333' ? '#F5F5F5' : '#333333';
       await chrome.storage.sync.set({ 'mangaViewerBg': newColor });
@@ -131,6 +278,186 @@
     }
   };
 
+  // タイル状にシャッフルされた画像や、CSSスプライトを並べて描かれたページを1枚の画像に組み立て直す。
+  // 組み立ては非同期のため、出来上がったページから先頭の順に返し、完成するたびに検出し直す
+  const PageExtractors = {
+    pages: new Map(),
+    loading: new Map(),
+    pending: new Set(),
+    warned: false,
+    // rule: { selector | include, columns, rows, permutation }
+    // permutation[i] は表示位置 i（左上から行優先）に置く元画像のタイル番号。関数なら (url, size) => 配列
+    extractTiles(rule) {
+      if (!rule) return [];
+      const sources = this.findTileSources(rule);
+      const permutationKey = typeof rule.permutation === 'function' ? 'site' : (rule.permutation || []).join(',');
+      return this.collect(`tile\n${rule.selector || rule.include}`, sources.map(url => ({
+        key: `tile\n${url}\n${rule.columns}x${rule.rows}\n${permutationKey}`,
+        build: () => this.buildTilePage(url, rule)
+      })));
+    },
+    findTileSources(rule) {
+      let urls = [];
+      if (rule.selector) {
+        let matched;
+        try { matched = Array.from(document.querySelectorAll(rule.selector)); } catch (e) { return []; }
+        const images = matched.flatMap(el => el.tagName === 'IMG' ? [el] : Array.from(el.querySelectorAll('img')));
+        urls = images.filter(img => !ImageDetector.isViewerImage(img)).map(img => img.currentSrc || img.src);
+      } else {
+        let include;
+        try { include = new RegExp(rule.include, 'i'); } catch (e) { return []; }
+        urls = performance.getEntriesByType('resource').map(entry => entry.name).filter(url => include.test(url));
+      }
+      return [...new Set(urls.filter(Boolean))];
+    },
+    async buildTilePage(url, rule) {
+      const img = await this.loadImage(url);
+      const width = img.naturalWidth, height = img.naturalHeight;
+      const { columns, rows } = rule;
+      const permutation = typeof rule.permutation === 'function' ? rule.permutation(url, { width, height }) : rule.permutation;
+      const count = columns * rows;
+      if (!Array.isArray(permutation) || permutation.length !== count || new Set(permutation).size !== count || permutation.some(n => !Number.isInteger(n) || n < 0 || n >= count)) {
+        throw new Error('invalid permutation');
+      }
+      // 割り切れない右端・下端の余りはシャッフルされないものとしてそのまま写す
+      const tileWidth = Math.floor(width / columns), tileHeight = Math.floor(height / rows);
+      const pieces = permutation.map((from, i) => ({
+        url, sx: (from % columns) * tileWidth, sy: Math.floor(from / columns) * tileHeight, sw: tileWidth, sh: tileHeight,
+        dx: (i % columns) * tileWidth, dy: Math.floor(i / columns) * tileHeight, dw: tileWidth, dh: tileHeight
+      }));
+      const restX = width - tileWidth * columns, restY = height - tileHeight * rows;
+      if (restX > 0) pieces.push({ url, sx: width - restX, sy: 0, sw: restX, sh: height, dx: width - restX, dy: 0, dw: restX, dh: height });
+      if (restY > 0) pieces.push({ url, sx: 0, sy: height - restY, sw: width - restX, sh: restY, dx: 0, dy: height - restY, dw: width - restX, dh: restY });
+      return this.render(width, height, pieces);
+    },
+    // background-position で1枚の画像の一部ずつを表示している要素を、親要素ごとに1ページとして集める
+    extractSprites() {
+      const groups = new Map();
+      ImageDetector.querySelectorDeep(document.body, '*').forEach(el => {
+        if (elements.container?.contains(el)) return;
+        const tile = this.readSpriteTile(el);
+        if (!tile || !el.parentElement) return;
+        if (!groups.has(el.parentElement)) groups.set(el.parentElement, []);
+        groups.get(el.parentElement).push({ el, ...tile });
+      });
+      const minSize = Settings.getMinImageSize();
+      const sources = [];
+      groups.forEach((tiles, parent) => {
+        // 全要素が画像の左上を表示しているだけなら、背景画像を並べたページでスプライトではない
+        if (tiles.length < CONFIG.extract.minTiles || tiles.every(tile => !tile.posX && !tile.posY)) return;
+        const box = parent.getBoundingClientRect();
+        if (box.width < minSize.width || box.height < minSize.height) return;
+        const page = {
+          width: Math.round(box.width), height: Math.round(box.height),
+          tiles: tiles.map(({ el, ...tile }) => {
+            const rect = el.getBoundingClientRect();
+            return { ...tile, x: Math.round(rect.left - box.left), y: Math.round(rect.top - box.top), w: Math.round(rect.width), h: Math.round(rect.height) };
+          })
+        };
+        sources.push({ top: box.top + window.scrollY, page });
+      });
+      return this.collect('sprite', sources.sort((a, b) => a.top - b.top).map(({ page }) => ({
+        key: `sprite\n${JSON.stringify(page)}`,
+        build: () => this.buildSpritePage(page)
+      })));
+    },
+    readSpriteTile(el) {
+      const style = getComputedStyle(el);
+      const match = /url\(["']?(.*?)["']?\)/.exec(style.backgroundImage);
+      if (!match || style.backgroundImage.includes(',')) return null;
+      // 位置が px で指定されたものだけをスプライトとみなす（0% は 0px と同じ）
+      const position = style.backgroundPosition.split(' ').map(value => value === '0%' ? 0 : /^-?[\d.]+px$/.test(value) ? parseFloat(value) : NaN);
+      if (position.length !== 2 || position.some(isNaN)) return null;
+      const size = style.backgroundSize.split(' ').map(value => /^[\d.]+px$/.test(value) ? parseFloat(value) : null);
+      try {
+        return { url: new URL(match[1], document.baseURI).href, posX: position[0], posY: position[1], sizeW: size[0] || null, sizeH: size[1] || null };
+      } catch (e) { return null; }
+    },
+    async buildSpritePage(page) {
+      const urls = [...new Set(page.tiles.map(tile => tile.url))];
+      const images = new Map(await Promise.all(urls.map(async url => [url, await this.loadImage(url)])));
+      // background-size で縮小表示されている場合は、元画像の解像度に合わせて組み立てる
+      const ratioOf = tile => {
+        const img = images.get(tile.url);
+        return tile.sizeW ? img.naturalWidth / tile.sizeW : tile.sizeH ? img.naturalHeight / tile.sizeH : 1;
+      };
+      const scale = Math.max(...page.tiles.map(ratioOf));
+      const pieces = page.tiles.map(tile => {
+        const ratio = ratioOf(tile);
+        return {
+          url: tile.url, sx: -tile.posX * ratio, sy: -tile.posY * ratio, sw: tile.w * ratio, sh: tile.h * ratio,
+          dx: tile.x * scale, dy: tile.y * scale, dw: tile.w * scale, dh: tile.h * scale
+        };
+      });
+      return this.render(Math.round(page.width * scale), Math.round(page.height * scale), pieces);
+    },
+    // 全ページの組み立てを始め、先頭から完成しているページだけを返す（途中のページが欠けて順番がずれないように）
+    // group（ルールや抽出方法）ごとに、今回使われなかった組み立て済みのページは手放す（区切りやレイアウトが変わると鍵も変わるため）
+    collect(group, sources) {
+      const used = new Set(sources.map(({ key }) => key));
+      this.pages.forEach((page, key) => { if (page.group === group && !used.has(key)) this.pages.delete(key); });
+      const pages = sources.map(({ key, build }) => this.getPage(group, key, build)).filter(page => !page.failed);
+      const ready = pages.findIndex(page => !page.img);
+      return (ready < 0 ? pages : pages.slice(0, ready)).map(page => page.img);
+    },
+    getPage(group, key, build) {
+      let page = this.pages.get(key);
+      if (page) return page;
+      page = { group, img: null, failed: false };
+      this.pages.set(key, page);
+      const task = build().then(dataUrl => {
+        const img = new Image();
+        img.src = dataUrl;
+        img.dataset.mvExtracted = 'true';
+        page.img = img;
+      }).catch(() => {
+        page.failed = true;
+        if (this.warned) return;
+        this.warned = true;
+        Utils.showMessage('ページを組み立てられない画像がありました', '#FF9800', 3000);
+      }).finally(() => {
+        this.pending.delete(task);
+        ImageManager.scheduleRefresh();
+      });
+      this.pending.add(task);
+      return page;
+    },
+    // 組み立て中のページが揃うまで（最大 settleMs）待つ
+    settle() {
+      return Promise.race([
+        Promise.allSettled([...this.pending]),
+        new Promise(resolve => setTimeout(resolve, CONFIG.extract.settleMs))
+      ]);
+    },
+    loadImage(url) {
+      if (!this.loading.has(url)) {
+        const img = new Image();
+        img.src = url;
+        const promise = img.decode().then(() => img);
+        promise.catch(() => this.loading.delete(url));
+        this.loading.set(url, promise);
+      }
+      return this.loading.get(url);
+    },
+    // pieces: [{ url, sx, sy, sw, sh, dx, dy, dw, dh }]。CORSでCanvasが汚染された場合はService Workerで描き直す
+    async render(width, height, pieces) {
+      try {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        for (const piece of pieces) {
+          ctx.drawImage(await this.loadImage(piece.url), piece.sx, piece.sy, piece.sw, piece.sh, piece.dx, piece.dy, piece.dw, piece.dh);
+        }
+        return canvas.toDataURL('image/jpeg', CONFIG.extract.quality);
+      } catch (e) {
+        const response = await chrome.runtime.sendMessage({ action: 'composeImage', width, height, pieces });
+        if (!response?.success || !response.dataUrl) throw new Error(response?.error || 'compose failed');
+        return response.dataUrl;
+      }
+    }
+  };
+
   const NiconicoUI = {
     createThresholdControl() {
       if (elements.niconicoThresholdUI) return elements.niconicoThresholdUI;
@@ -168,22 +495,40 @@
   };
 
   const ImageDetector = {
+    styleImages: new Map(),
+    // 1回の検出のあいだ使い回す、ルートごとの開いている Shadow DOM の一覧
+    shadowRoots: null,
+    // フレーム型で最後に選ばれたフレーム（{ frame, doc, label }）。全読込のスクロール対象になる
+    chosenFrame: null,
     detect() {
       if (!state.isEnabled) return [];
       const mode = Settings.getDetectionMode();
-      return mode === 'auto' ? this.detectWithAutoFallback() : this.detectByMode(mode);
+      return this.withShadowRootCache(() => mode === 'auto' ? this.detectWithAutoFallback() : this.detectByMode(mode));
+    },
+    // 各検出方法が querySelectorDeep を呼ぶたびに全要素を調べ直さないよう、fn のあいだ Shadow DOM の一覧を覚えておく
+    withShadowRootCache(fn) {
+      if (this.shadowRoots) return fn();
+      this.shadowRoots = new Map();
+      try {
+        return fn();
+      } finally {
+        this.shadowRoots = null;
+      }
     },
     detectByMode(mode) {
+      if (DETECTION_MODES[mode]?.extract) return DETECTION_MODES[mode].extract();
       const detectors = {
-        'basic': () => this.detectFromDocument(), 'smart': () => this.detectFromResources(), 'deep-scan': () => this.detectFromTextScan(),
+        'basic': () => this.detectFromDocument(), 'background': () => this.detectFromStyles(), 'smart': () => this.detectFromResources(), 'deep-scan': () => this.detectFromTextScan(),
         'frame-reader': () => this.detectFromIframe(), 'niconico-seiga': () => NiconicoExtractor.extractFromCanvas(),
         'reading-content': () => this.detectBySelector(mode), 'chapter-content': () => this.detectBySelector(mode),
-        'manga-reader': () => this.detectBySelector(mode), 'entry-content': () => this.detectBySelector(mode)
+        'manga-reader': () => this.detectBySelector(mode), 'entry-content': () => this.detectBySelector(mode),
+        'custom': () => this.detectBySelector(mode)
       };
       return (detectors[mode] || detectors.basic)();
     },
     detectWithAutoFallback() {
       const strategies = [
+        { name: 'custom', method: () => this.detectBySelector('custom'), condition: () => Settings.getDetectionRule() },
         { name: 'basic', method: () => this.detectFromDocument() },
         { name: 'reading-content', method: () => this.detectBySelector('reading-content') },
         { name: 'chapter-content', method: () => this.detectBySelector('chapter-content') },
@@ -191,7 +536,8 @@
         { name: 'entry-content', method: () => this.detectBySelector('entry-content') },
         { name: 'smart', method: () => this.detectFromResources() },
         { name: 'deep-scan', method: () => this.detectFromTextScan() },
-        { name: 'frame-reader', method: () => this.detectFromIframe(), condition: () => document.querySelector('iframe') },
+        { name: 'frame-reader', method: () => this.detectFromIframe(), condition: () => this.collectFrames().length },
+        ...Object.entries(DETECTION_MODES).filter(([, def]) => def.extract && def.condition).map(([name, def]) => ({ name, method: def.extract, condition: def.condition })),
         { name: 'niconico-seiga', method: () => NiconicoExtractor.extractFromCanvas() }
       ];
       for (const strategy of strategies) {
@@ -205,9 +551,10 @@
       return [];
     },
     detectFromDocument() {
-      const allImages = document.querySelectorAll('img');
+      const allImages = this.querySelectorDeep(document, 'img');
       const excludePatterns = ['icon', 'logo', 'avatar', 'banner', 'header', 'footer', 'thumb', 'profile', 'menu', 'button', 'bg', 'nav', 'sidebar', 'ad', 'favicon'];
       const potential = Array.from(allImages).filter(img => {
+        if (this.isViewerImage(img)) return false;
         this.normalizeImageSrc(img);
         if (img.dataset.isResourceDetected || img.dataset.isTextScanned || img.dataset.isNiconicoCanvas) return true;
         if (!img.src) return false;
@@ -224,6 +571,100 @@
         const img = new Image(); img.src = url; img.dataset.resourceIndex = String(i); img.dataset.isResourceDetected = 'true'; return img;
       });
     },
+    // CSSの背景画像で描かれたページと、<picture> の <source> から選ばれる画像を集める
+    // （全要素の計算済みスタイルを調べるため、自動検出では試さない）
+    detectFromStyles() {
+      const minSize = Settings.getMinImageSize();
+      const excludePatterns = ['icon', 'logo', 'avatar', 'banner', 'header', 'footer', 'thumb', 'profile', 'menu', 'button', 'nav', 'sidebar', 'favicon'];
+      const found = [], spriteParents = new Map();
+      this.querySelectorDeep(document, 'picture').forEach(picture => {
+        if (this.isViewerImage(picture)) return;
+        const img = picture.querySelector('img');
+        if (img && this.isImageLoaded(img) && !this.isValidImageSize(img)) return;
+        const url = this.pickFromPicture(picture);
+        if (url) found.push({ el: picture, url });
+      });
+      this.querySelectorDeep(document.body, '*').forEach(el => {
+        if (el.tagName === 'IMG' || el.tagName === 'PICTURE' || this.isViewerImage(el)) return;
+        const style = getComputedStyle(el);
+        const match = /^url\(["']?(.*?)["']?\)$/.exec(style.backgroundImage);
+        if (!match) return;
+        // px でずらして一部だけを見せている要素はスプライト（スプライト型で扱う）。
+        // 同じ親の下で同じ画像を表示している左上のタイルもスプライトの一部なので、後でまとめて除く
+        if (style.backgroundPosition.split(' ').some(value => /^-?[\d.]+px$/.test(value) && parseFloat(value) !== 0)) {
+          if (!spriteParents.has(el.parentNode)) spriteParents.set(el.parentNode, new Set());
+          spriteParents.get(el.parentNode).add(match[1]);
+          return;
+        }
+        const rect = el.getBoundingClientRect();
+        if (rect.width < minSize.width || rect.height < minSize.height) return;
+        try {
+          const url = new URL(match[1], document.baseURI).href;
+          if (!this.matchesExcludePatterns(url.toLowerCase(), excludePatterns)) found.push({ el, url, raw: match[1] });
+        } catch (e) { }
+      });
+      // 今回見つからなかったURLの要素は手放す
+      const previous = this.styleImages;
+      this.styleImages = new Map();
+      const images = found
+        .filter(item => !spriteParents.get(item.el.parentNode)?.has(item.raw))
+        .map(item => ({ ...item, top: item.el.getBoundingClientRect().top }))
+        .sort((a, b) => a.top - b.top)
+        .map(({ url }, i) => {
+          // 検出のたびに別の要素にならないよう、URLごとに同じ要素を使い回す
+          let img = this.styleImages.get(url) || previous.get(url);
+          if (!img) {
+            img = new Image();
+            img.src = url;
+            img.dataset.isStyleDetected = 'true';
+          }
+          this.styleImages.set(url, img);
+          img.dataset.styleIndex = String(i);
+          return img;
+        });
+      return this.filterAndSortImages(images);
+    },
+    // <source> と <img> の srcset のうち、対応している形式で最も解像度の高い候補
+    pickFromPicture(picture) {
+      const supported = ['image/avif', 'image/webp', 'image/jpeg', 'image/png', 'image/gif'];
+      const candidates = Array.from(picture.querySelectorAll('source, img'))
+        .filter(el => el.tagName === 'IMG' || !el.type || supported.includes(el.type.toLowerCase()))
+        .flatMap(el => {
+          const srcset = el.getAttribute('srcset') || el.getAttribute('data-srcset');
+          const list = srcset ? this.parseSrcset(srcset) : [];
+          const src = el.tagName === 'IMG' ? (el.getAttribute('src') || el.dataset.src) : null;
+          return src ? [...list, { url: src, width: 0, density: 1 }] : list;
+        });
+      return this.bestCandidate(candidates);
+    },
+    pickFromSrcset(srcset) {
+      return this.bestCandidate(this.parseSrcset(srcset));
+    },
+    // "a.jpg 800w, b.jpg 1600w" や "a.jpg 1x, b.jpg 2x" を { url, width, density } の配列にする
+    parseSrcset(srcset) {
+      const candidates = [];
+      let rest = srcset.trim();
+      while (rest) {
+        let url = rest.match(/^\S+/)[0], descriptor = '';
+        rest = rest.slice(url.length);
+        if (/,$/.test(url)) url = url.replace(/,+$/, '');
+        else {
+          const match = rest.match(/^([^,]*)(,|$)/);
+          descriptor = match[1].trim();
+          rest = rest.slice(match[0].length);
+        }
+        rest = rest.trim();
+        if (!url) continue;
+        const width = /^(\d+)w$/.exec(descriptor), density = /^([\d.]+)x$/.exec(descriptor);
+        candidates.push({ url, width: width ? parseInt(width[1]) : 0, density: density ? parseFloat(density[1]) : 1 });
+      }
+      return candidates;
+    },
+    bestCandidate(candidates) {
+      const best = candidates.reduce((a, b) => (b.width - a.width || b.density - a.density) > 0 ? b : a, candidates[0]);
+      if (!best) return '';
+      try { return new URL(best.url, document.baseURI).href; } catch (e) { return ''; }
+    },
     detectFromTextScan() {
       const htmlText = document.documentElement.outerHTML;
       const pattern = /https?:\/\/[^\s"'<>]+\.(?:jpe?g|png|webp|gif)(?:\?[^\s"'<>]*)?/gi;
@@ -238,49 +679,116 @@
       });
     },
     detectBySelector(configName) {
-      const config = DETECTION_MODES[configName];
+      const config = this.getSelectorConfig(configName);
       if (!config?.selector) return [];
-      const images = Array.from(document.querySelectorAll(config.selector));
-      if (config.dataSrcSupport) images.forEach(img => { if (!img.src && img.dataset.src) img.src = img.dataset.src; });
+      let matched;
+      try { matched = this.querySelectorDeep(document, config.selector); } catch (e) { return []; }
+      // コンテナ要素が指定された場合は配下のimgを対象にする
+      const images = matched.flatMap(el => el.tagName === 'IMG' ? [el] : Array.from(el.querySelectorAll('img')));
+      images.forEach(img => this.applyLazyAttributes(img, config));
       return images.filter(img => {
+        if (this.isViewerImage(img)) return false;
         if (img.dataset.isResourceDetected || img.dataset.isTextScanned) return true;
         if (!img.src) return false;
+        if (config.include && !config.include.test(img.src)) return false;
+        if (config.exclude && config.exclude.test(img.src)) return false;
         return this.isImageLoaded(img) ? this.isValidImageSize(img) : this.isImageUrl(img.src);
       });
     },
+    getSelectorConfig(configName) {
+      if (configName !== 'custom') {
+        const config = DETECTION_MODES[configName];
+        return config && { selector: config.selector, attributes: config.dataSrcSupport ? ['data-src'] : [], fillEmptyOnly: true };
+      }
+      const rule = Settings.getDetectionRule();
+      if (!rule) return null;
+      const toRegExp = (pattern) => { try { return pattern ? new RegExp(pattern, 'i') : null; } catch (e) { return null; } };
+      return { selector: rule.selector, attributes: rule.attributes || [], include: toRegExp(rule.include), exclude: toRegExp(rule.exclude), fillEmptyOnly: false };
+    },
+    applyLazyAttributes(img, config) {
+      if (config.fillEmptyOnly && img.src) return;
+      for (const attr of config.attributes) {
+        let value = img.getAttribute(attr);
+        if (!value) continue;
+        if (/srcset$/i.test(attr)) value = this.pickFromSrcset(value);
+        if (!value) continue;
+        // カスタムルールではプレースホルダー画像を上書きするため、指定属性をsrcより優先する
+        try {
+          const resolved = new URL(value, document.baseURI).href;
+          if (img.src !== resolved) img.src = resolved;
+          return;
+        } catch (e) { }
+      }
+    },
+    // 同一オリジンの iframe を入れ子までたどり、ページ画像の最も多いフレームの画像を返す
     detectFromIframe() {
-      const iframe = document.querySelector("iframe");
-      if (!iframe) return [];
-      try {
-        const doc = iframe.contentDocument || iframe.contentWindow.document;
-        if (!doc) return [];
-        const potential = Array.from(doc.querySelectorAll('img')).filter(img => img.complete && img.naturalHeight > 0 && img.naturalWidth >= 500);
-        potential.forEach(img => {
-          if (!img.src.startsWith('http')) {
-            try {
-              const fullSrc = new URL(img.src, new URL(iframe.src).origin).href;
-              Object.defineProperty(img, 'src', { value: fullSrc, writable: false });
-            } catch (e) { }
-          }
-        });
-        return this.sortImagesByPosition(potential);
-      } catch (e) { return []; }
+      let best = null;
+      this.collectFrames().forEach(entry => {
+        const images = this.querySelectorDeep(entry.doc, 'img').filter(img => img.complete && img.naturalHeight > 0 && img.naturalWidth >= CONFIG.frames.minImageWidth);
+        if (images.length && (!best || images.length > best.images.length)) best = { ...entry, images };
+      });
+      this.chosenFrame = best && { frame: best.frame, doc: best.doc, label: best.label };
+      if (!best) return [];
+      best.images.forEach(img => {
+        if (!img.src.startsWith('http')) {
+          try {
+            const fullSrc = new URL(img.getAttribute('src'), best.doc.baseURI).href;
+            Object.defineProperty(img, 'src', { value: fullSrc, writable: false });
+          } catch (e) { }
+        }
+      });
+      return this.sortImagesByPosition(best.images);
+    },
+    // 別オリジンのフレームは中を読めないので飛ばす。label は "#viewer > iframe[2]" のような入れ子の位置
+    collectFrames(root = document, depth = 0, parentLabel = '') {
+      if (depth >= CONFIG.frames.maxDepth) return [];
+      return this.querySelectorDeep(root, 'iframe, frame').flatMap((frame, i) => {
+        let doc = null;
+        try { doc = frame.contentDocument; } catch (e) { }
+        if (!doc?.documentElement) return [];
+        const name = frame.id ? `#${frame.id}` : frame.name ? `${frame.tagName.toLowerCase()}[name=${frame.name}]` : `${frame.tagName.toLowerCase()}[${i + 1}]`;
+        const label = parentLabel ? `${parentLabel} > ${name}` : name;
+        return [{ frame, doc, label }, ...this.collectFrames(doc, depth + 1, label)];
+      });
+    },
+    // 開いている Shadow DOM の中も含めて探す（閉じた Shadow DOM は外から読めない）
+    querySelectorDeep(root, selector) {
+      // body の下の Shadow DOM は文書全体の一覧と同じものを使う
+      const shadowRoots = this.getShadowRoots(root === root.ownerDocument?.body ? root.ownerDocument : root);
+      return [root, ...shadowRoots].flatMap(r => Array.from(r.querySelectorAll(selector)));
+    },
+    // root の下にある開いている Shadow DOM を、入れ子も含めて文書順に返す
+    getShadowRoots(root) {
+      if (this.shadowRoots?.has(root)) return this.shadowRoots.get(root);
+      const roots = [];
+      const walker = (root.ownerDocument || root).createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+      while (walker.nextNode()) {
+        const shadowRoot = walker.currentNode.shadowRoot;
+        if (shadowRoot) roots.push(shadowRoot, ...this.getShadowRoots(shadowRoot));
+      }
+      this.shadowRoots?.set(root, roots);
+      return roots;
     },
     normalizeImageSrc(img) {
       const candidate = img.dataset.src || img.dataset.original || img.dataset.lazySrc;
       if ((!img.src || img.src === '') && candidate) img.src = candidate;
       if ((!img.src || img.src === '') && img.srcset) {
-        const src = img.currentSrc || img.srcset.split(',').pop().trim().split(' ')[0];
+        const src = img.currentSrc || this.pickFromSrcset(img.srcset);
         if (src) img.src = src;
       }
     },
     isImageLoaded(img) { return img.complete && img.naturalHeight > 0 && img.naturalWidth > 0; },
     isValidImageSize(img) {
       if (img.dataset.isNiconicoCanvas) return true;
-      return img.naturalHeight >= CONFIG.minImageHeight && img.naturalWidth >= CONFIG.minImageWidth;
+      const minSize = Settings.getMinImageSize();
+      return img.naturalHeight >= minSize.height && img.naturalWidth >= minSize.width;
     },
-    isImageUrl(url) { return /\.(jpe?g|png|webp|gif)(\?.*)?$/i.test(url); },
+    isImageUrl(url) { return /\.(jpe?g|png|webp|avif|gif)(\?.*)?$/i.test(url); },
     matchesExcludePatterns(src, patterns) { const lower = src.toLowerCase(); return patterns.some(p => lower.includes(p)); },
+    // ビューア自身が表示している画像（結合したページなど）をページ上の画像と取り違えない
+    isViewerImage(img) {
+      return !!elements.container?.contains(img);
+    },
     filterAndSortImages(images) {
       if (images.length < CONFIG.minMangaImageCount) return [];
       const seen = new Set();
@@ -292,6 +800,7 @@
         if (a.dataset.canvasIndex && b.dataset.canvasIndex) return parseInt(a.dataset.canvasIndex) - parseInt(b.dataset.canvasIndex);
         if (a.dataset.resourceIndex && b.dataset.resourceIndex) return parseInt(a.dataset.resourceIndex) - parseInt(b.dataset.resourceIndex);
         if (a.dataset.textScanIndex && b.dataset.textScanIndex) return parseInt(a.dataset.textScanIndex) - parseInt(b.dataset.textScanIndex);
+        if (a.dataset.styleIndex && b.dataset.styleIndex) return parseInt(a.dataset.styleIndex) - parseInt(b.dataset.styleIndex);
         return a.getBoundingClientRect().top - b.getBoundingClientRect().top;
       });
     }
@@ -333,6 +842,180 @@
     }
   };
 
+  // 縦に分割（またはタイル状に分割）された画像を1ページに結合する。結合した画像は data URL の画像として
+  // state.images に入るため、ビューア・先読み・ダウンロードからは通常の1ページとして扱われる
+  const Stitcher = {
+    composites: new Map(),
+    sources: new WeakMap(),
+    loaded: new Map(),
+    edges: new Map(),
+    warned: false,
+    isEnabled() { return !!Settings.getStitchMode(); },
+    // 'auto' | '3'（3枚を縦に結合） | '2x2'（2列×2行のタイル）
+    parseMode(mode) {
+      if (mode === 'auto') return { auto: true, columns: 1 };
+      const tile = /^(\d+)x(\d+)$/.exec(mode);
+      if (tile) return { auto: false, columns: parseInt(tile[1]), size: parseInt(tile[1]) * parseInt(tile[2]) };
+      const size = parseInt(mode);
+      return size > 1 ? { auto: false, columns: 1, size } : null;
+    },
+    apply(images) {
+      const mode = this.parseMode(Settings.getStitchMode());
+      if (!mode) { this.composites.clear(); return images; }
+      const groups = mode.auto ? this.groupAuto(images) : this.groupFixed(images, mode.size);
+      const used = new Set();
+      const result = groups.flatMap(group => {
+        if (group.length === 1) return group;
+        const composite = this.getComposite(group, mode.columns);
+        used.add(this.compositeKey(group, mode.columns));
+        // 結合が終わるまで（または失敗した場合）は分割されたまま表示する
+        return composite.img ? [composite.img] : group;
+      });
+      // 組の区切りが変わって使われなくなった結合画像は手放す
+      Array.from(this.composites.keys()).forEach(key => { if (!used.has(key)) this.composites.delete(key); });
+      return result;
+    },
+    // 末尾の揃っていない組は、続きが読み込まれるまで結合しない
+    groupFixed(images, size) {
+      const groups = [];
+      for (let i = 0; i < images.length; i += size) {
+        const group = images.slice(i, i + size);
+        if (group.length === size) groups.push(group);
+        else groups.push(...group.map(img => [img]));
+      }
+      return groups;
+    },
+    // 幅が同じで境目の色が近い連続画像を、1ページとして不自然でない高さまでつなぐ。
+    // 大きさの分からない画像があれば、そこから先は読み込みを待って判定し直す
+    groupAuto(images) {
+      const groups = [];
+      let i = 0;
+      while (i < images.length) {
+        const first = this.getSize(images[i]);
+        if (!first) { this.prefetchSizes(images, i + 1); break; }
+        const group = [images[i]];
+        let height = first.height, j = i + 1, unresolved = false;
+        for (; j < images.length; j++) {
+          const next = this.getSize(images[j]);
+          if (!next) { unresolved = true; break; }
+          if (Math.abs(next.width - first.width) > 1 || (height + next.height) / first.width > CONFIG.stitch.maxAspect) break;
+          if (!this.edgesMatch(images[j - 1], images[j])) break;
+          group.push(images[j]);
+          height += next.height;
+        }
+        if (unresolved) { this.prefetchSizes(images, j + 1); break; }
+        groups.push(group);
+        i = j;
+      }
+      groups.push(...images.slice(groups.flat().length).map(img => [img]));
+      return groups;
+    },
+    // 続く数枚もまとめて読み込んでおき、1枚ずつ待たないようにする
+    prefetchSizes(images, from) {
+      images.slice(from, from + CONFIG.stitch.lookahead).forEach(img => this.getSize(img));
+    },
+    // 読み込み済みの画像要素（ページ上の要素が未読込なら別に読み込む）
+    getLoaded(img) {
+      if (img.complete && img.naturalWidth) return img;
+      const entry = this.loaded.get(img.src);
+      if (entry instanceof HTMLImageElement) return entry;
+      if (!entry && img.src) {
+        const loader = new Image();
+        loader.src = img.src;
+        this.loaded.set(img.src, 'loading');
+        loader.decode().then(() => {
+          this.loaded.set(img.src, loader);
+          ImageManager.scheduleRefresh();
+        }, () => {
+          this.loaded.set(img.src, 'error');
+          ImageManager.scheduleRefresh();
+        });
+      }
+      return null;
+    },
+    getSize(img) {
+      const loaded = this.getLoaded(img);
+      if (loaded) return { width: loaded.naturalWidth, height: loaded.naturalHeight };
+      // 読み込めなかった画像は結合の対象にしない
+      return this.loaded.get(img.src) === 'error' ? { width: -1, height: 0 } : null;
+    },
+    // 上の画像の最下行と下の画像の最上行を縮小して比べる。CORSで読めない場合は一致とみなす
+    edgesMatch(upper, lower) {
+      const key = `${upper.src}\n${lower.src}`;
+      if (this.edges.has(key)) return this.edges.get(key);
+      let match = true;
+      try {
+        const a = this.getLoaded(upper), b = this.getLoaded(lower);
+        const width = CONFIG.stitch.edgeSamples;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = 2;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(a, 0, a.naturalHeight - 1, a.naturalWidth, 1, 0, 0, width, 1);
+        ctx.drawImage(b, 0, 0, b.naturalWidth, 1, 0, 1, width, 1);
+        const data = ctx.getImageData(0, 0, width, 2).data;
+        let diff = 0;
+        for (let i = 0; i < width * 4; i++) {
+          if (i % 4 !== 3) diff += Math.abs(data[i] - data[i + width * 4]);
+        }
+        match = diff / (width * 3) <= CONFIG.stitch.edgeTolerance;
+      } catch (e) { }
+      this.edges.set(key, match);
+      return match;
+    },
+    compositeKey(group, columns) {
+      return `${columns}\n${group.map(img => img.src).join('\n')}`;
+    },
+    getComposite(group, columns) {
+      const key = this.compositeKey(group, columns);
+      let composite = this.composites.get(key);
+      if (composite) return composite;
+      composite = { img: null };
+      this.composites.set(key, composite);
+      this.compose(group, columns).then(dataUrl => {
+        const img = new Image();
+        img.src = dataUrl;
+        img.dataset.mvStitched = String(group.length);
+        composite.img = img;
+        this.sources.set(img, group);
+        ImageManager.scheduleRefresh();
+      }).catch(() => {
+        if (this.warned) return;
+        this.warned = true;
+        Utils.showMessage('分割画像を結合できませんでした（分割されたまま表示します）', '#FF9800', 3000);
+      });
+      return composite;
+    },
+    async compose(group, columns) {
+      const images = group.map(img => this.getLoaded(img));
+      try {
+        if (images.some(img => !img)) throw new Error('not loaded');
+        const rows = Math.ceil(images.length / columns);
+        const colWidths = Array.from({ length: columns }, (_, c) => Math.max(...images.filter((_, i) => i % columns === c).map(img => img.naturalWidth)));
+        const rowHeights = Array.from({ length: rows }, (_, r) => Math.max(...images.slice(r * columns, (r + 1) * columns).map(img => img.naturalHeight)));
+        const sum = values => values.reduce((a, b) => a + b, 0);
+        const canvas = document.createElement('canvas');
+        canvas.width = sum(colWidths);
+        canvas.height = sum(rowHeights);
+        const ctx = canvas.getContext('2d');
+        images.forEach((img, i) => {
+          const c = i % columns, r = Math.floor(i / columns);
+          ctx.drawImage(img, sum(colWidths.slice(0, c)), sum(rowHeights.slice(0, r)));
+        });
+        return canvas.toDataURL('image/jpeg', CONFIG.stitch.quality);
+      } catch (e) {
+        // CORSでCanvasが汚染された場合はService Workerで結合する
+        const response = await chrome.runtime.sendMessage({ action: 'stitchImages', urls: group.map(img => img.src), columns });
+        if (!response?.success || !response.dataUrl) throw new Error(response?.error || 'stitch failed');
+        return response.dataUrl;
+      }
+    },
+    // 結合前後のどちらの画像からでも、それを含むページの位置を探す
+    indexOf(images, target) {
+      return images.findIndex(img => img === target || this.sources.get(img)?.includes(target) || this.sources.get(target)?.includes(img));
+    }
+  };
+
   const ImageManager = {
     scheduleRefresh() {
       if (!state.isEnabled) return;
@@ -341,13 +1024,20 @@
     },
     refresh() {
       if (!state.isEnabled) return;
-      const newImages = ImageDetector.detect();
+      const detected = ImageDetector.detect();
+      const newImages = Stitcher.apply(detected);
       if (newImages.length !== state.images.length || newImages.some((img, i) => state.images[i] !== img)) {
+        const isOpen = elements.container?.style.display === 'flex';
+        // 結合の有無でページ番号が変わるため、表示中の画像を含むページを表示し直す
+        const restitched = Stitcher.isEnabled() || state.images.some(img => img.dataset.mvStitched);
+        const anchor = isOpen && restitched ? state.images[Viewer.getVisiblePages()[0]] : null;
         state.images = newImages;
-        if (elements.container?.style.display === 'flex') Viewer.updatePageInfo();
+        const index = anchor ? Stitcher.indexOf(newImages, anchor) : -1;
+        if (index >= 0) Viewer.showPage(Viewer.snapToSpread(Layout.slotOf(index)));
+        else if (isOpen) Viewer.updatePageInfo();
       }
       const mode = Settings.getDetectionMode();
-      if (mode === 'auto' || mode === 'basic') newImages.forEach(img => this.attachWatchers(img));
+      if (mode === 'auto' || mode === 'basic') detected.forEach(img => this.attachWatchers(img));
     },
     attachWatchers(img) {
       if (watched.has(img)) return; watched.add(img);
@@ -364,11 +1054,13 @@
     },
     loadAllFromNiconico(btn) { NiconicoExtractor.loadAllPages(() => { this.refresh(); this.finishLoadAll(btn); }); },
     loadAllFromDocument(btn) { this.performScrollLoad(window, document.documentElement, window.pageYOffset, btn); },
+    // 検出で選ばれたフレームをスクロールする（入れ子のフレームでもそのフレーム自身）
     loadAllFromIframe(btn) {
-      const iframe = document.querySelector("iframe");
-      if (!iframe) return;
+      if (!ImageDetector.chosenFrame?.doc.defaultView) ImageDetector.detectFromIframe();
+      const target = ImageDetector.chosenFrame;
+      if (!target) { this.finishLoadAll(btn); return; }
       try {
-        const win = iframe.contentWindow, doc = iframe.contentDocument || win.document;
+        const win = target.doc.defaultView, doc = target.doc;
         this.performScrollLoad(win, doc.documentElement, win.pageYOffset || doc.documentElement.scrollTop, btn);
       } catch (e) { this.finishLoadAll(btn); }
     },
@@ -397,6 +1089,20 @@
     async saveLastFolderName(folderName) {
       await chrome.storage.sync.set({ 'mangaViewerLastFolder': folderName });
     },
+    async getDownloadFormat() {
+      const result = await chrome.storage.sync.get('mangaViewerDownloadFormat');
+      return result.mangaViewerDownloadFormat || 'individual';
+    },
+    async saveDownloadFormat(format) {
+      await chrome.storage.sync.set({ 'mangaViewerDownloadFormat': format });
+    },
+    async getConcurrency() {
+      const result = await chrome.storage.sync.get('mangaViewerDownloadConcurrency');
+      return parseInt(result.mangaViewerDownloadConcurrency) || 3;
+    },
+    async saveConcurrency(concurrency) {
+      await chrome.storage.sync.set({ 'mangaViewerDownloadConcurrency': concurrency });
+    },
     suggestNextFolderName(lastFolder) {
       if (!lastFolder) {
         return this.getFolderNameFromURL();
@@ -423,42 +1129,65 @@
       }
       return 'manga-download';
     },
-    async downloadAsZip(folderName, startPage, endPage, useOriginalNames) {
-      // ZIP機能は現在サポートされていません
-      throw new Error('ZIP形式は現在サポートされていません。連番画像を使用してください。');
+    buildFilename(folderName, src, pageNum, useOriginalNames) {
+      if (useOriginalNames) return this.getOriginalFilename(src, pageNum);
+      return `${folderName}_${String(pageNum).padStart(3, '0')}.${this.getExtension(src)}`;
     },
-    async downloadIndividual(folderName, startPage, endPage, useOriginalNames) {
+    uniqueFilename(filename, used) {
+      let name = filename, n = 1;
+      while (used.has(name)) name = filename.replace(/(\.[^.]*)?$/, ext => `_${n++}${ext}`);
+      used.add(name);
+      return name;
+    },
+    async downloadAsZip(folderName, startPage, endPage, useOriginalNames, format = 'zip') {
       const start = Math.min(startPage, endPage);
       const end = Math.max(startPage, endPage);
+      const entries = [], used = new Set();
 
       for (let i = start; i <= end; i++) {
-        const idx = i - 1;
-        if (idx >= 0 && idx < state.images.length) {
-          const img = state.images[idx];
-          try {
-            let filename;
-            if (useOriginalNames) {
-              filename = this.getOriginalFilename(img.src, i);
-            } else {
-              const ext = this.getExtension(img.src);
-              filename = `${folderName}_${String(i).padStart(3, '0')}.${ext}`;
-            }
+        const img = state.images[i - 1];
+        if (!img) continue;
+        entries.push({ url: img.src, filename: this.uniqueFilename(this.buildFilename(folderName, img.src, i, useOriginalNames), used) });
+      }
+      if (!entries.length) throw new Error('ダウンロード対象の画像がありません');
 
-            await chrome.runtime.sendMessage({
-              action: 'downloadImage',
-              url: img.src,
-              filename: `manga-viewer/${folderName}/${filename}`,
-              conflictAction: 'overwrite'
-            });
+      // 画像の取得とZIP作成はCORSの制約を受けないService Worker側で行う
+      const response = await chrome.runtime.sendMessage({
+        action: 'downloadZip',
+        entries: entries,
+        filename: `manga-viewer/${folderName}.${format}`,
+        comicInfo: { title: folderName, manga: Settings.isLeftToRight() ? 'Yes' : 'YesAndRightToLeft' }
+      });
+      if (response?.cancelled) return response;
+      if (!response?.success) throw new Error(response?.error || 'ZIPの作成に失敗しました');
 
-            await new Promise(resolve => setTimeout(resolve, 50));
-          } catch (e) {
-            console.error(`Failed to download image ${i}:`, e);
-          }
-        }
+      await this.saveLastFolderName(folderName);
+      return response;
+    },
+    async downloadIndividual(folderName, startPage, endPage, useOriginalNames, concurrency) {
+      const start = Math.min(startPage, endPage);
+      const end = Math.max(startPage, endPage);
+      const items = [];
+
+      for (let i = start; i <= end; i++) {
+        const img = state.images[i - 1];
+        if (!img) continue;
+        items.push({ page: i, url: img.src, filename: `manga-viewer/${folderName}/${this.buildFilename(folderName, img.src, i, useOriginalNames)}` });
       }
+      if (!items.length) throw new Error('ダウンロード対象の画像がありません');
+
+      // キューはService Worker側で管理し、タブを閉じても処理を続ける
+      const response = await chrome.runtime.sendMessage({
+        action: 'startDownloadJob',
+        folderName: folderName,
+        items: items,
+        concurrency: concurrency,
+        pageUrl: window.location.href
+      });
+      if (!response?.success) throw new Error(response?.error || 'ダウンロードを開始できませんでした');
 
       await this.saveLastFolderName(folderName);
+      return response.jobId;
     },
     getOriginalFilename(src, pageNum) {
       const url = new URL(src, window.location.href);
@@ -491,6 +1220,8 @@
 
       const lastFolder = await DownloadManager.getLastFolderName();
       const suggestedFolder = DownloadManager.suggestNextFolderName(lastFolder);
+      const downloadFormat = await DownloadManager.getDownloadFormat();
+      const concurrency = await DownloadManager.getConcurrency();
       // [修正] 終了ページのデフォルトを常に最終ページに変更
       const endPageDefault = state.images.length;
 
@@ -521,24 +1252,55 @@
             </label>
           </div>
           
+          <div style="margin-bottom:10px;">
+            <label style="display:block;margin-bottom:6px;font-size:12px;color:#555;">保存形式:</label>
+            <div style="display:flex;gap:10px;">
+              <label style="display:flex;align-items:center;font-size:11px;cursor:pointer;">
+                <input type="radio" name="mv-download-format" value="individual" ${downloadFormat === 'individual' ? 'checked' : ''} style="margin-right:6px;cursor:pointer;">
+                <span>個別画像</span>
+              </label>
+              <label style="display:flex;align-items:center;font-size:11px;cursor:pointer;">
+                <input type="radio" name="mv-download-format" value="zip" ${downloadFormat === 'zip' ? 'checked' : ''} style="margin-right:6px;cursor:pointer;">
+                <span>ZIP</span>
+              </label>
+              <label style="display:flex;align-items:center;font-size:11px;cursor:pointer;">
+                <input type="radio" name="mv-download-format" value="cbz" ${downloadFormat === 'cbz' ? 'checked' : ''} style="margin-right:6px;cursor:pointer;">
+                <span>CBZ</span>
+              </label>
+            </div>
+          </div>
+          
           <div style="margin-bottom:10px;">
             <label style="display:block;margin-bottom:6px;font-size:12px;color:#555;">保存ページ範囲:</label>
             <div style="display:flex;align-items:center;gap:8px;margin-bottom:8px;">
               <span style="font-size:11px;width:32px;color:#555;">開始</span>
               <input type="number" id="mv-start-page" min="1" max="${state.images.length}" value="1" style="width:50px;padding:4px;border:1px solid #ccc;border-radius:4px;background:white;color:#333;text-align:center;font-size:12px;">
               <div style="flex:1;position:relative;height:18px;display:flex;align-items:center;">
-                <input type="range" id="mv-range-slider-start" min="1" max="${state.images.length}" value="1" style="direction:rtl;">
+                <input type="range" id="mv-range-slider-start" min="1" max="${state.images.length}" value="1">
               </div>
             </div>
             <div style="display:flex;align-items:center;gap:8px;">
               <span style="font-size:11px;width:32px;color:#555;">終了</span>
               <input type="number" id="mv-end-page" min="1" max="${state.images.length}" value="${endPageDefault}" style="width:50px;padding:4px;border:1px solid #ccc;border-radius:4px;background:white;color:#333;text-align:center;font-size:12px;">
               <div style="flex:1;position:relative;height:18px;display:flex;align-items:center;">
-                <input type="range" id="mv-range-slider-end" min="1" max="${state.images.length}" value="${endPageDefault}" style="direction:rtl;">
+                <input type="range" id="mv-range-slider-end" min="1" max="${state.images.length}" value="${endPageDefault}">
               </div>
             </div>
           </div>
           
+          <div style="margin-bottom:10px;display:flex;align-items:center;gap:8px;">
+            <label for="mv-download-concurrency" style="font-size:12px;color:#555;">同時ダウンロード数:</label>
+            <input type="number" id="mv-download-concurrency" min="1" max="6" value="${concurrency}" style="width:50px;padding:4px;border:1px solid #ccc;border-radius:4px;background:white;color:#333;text-align:center;font-size:12px;">
+          </div>
+          
+          <div id="mv-download-status" style="display:none;margin-bottom:8px;font-size:11px;color:#555;"></div>
+          
+          <div id="mv-download-progress" style="display:none;margin-bottom:8px;">
+            <div id="mv-download-summary" style="font-size:11px;color:#555;margin-bottom:4px;"></div>
+            <div id="mv-download-list" style="max-height:120px;overflow-y:auto;font-size:11px;border:1px solid #eee;border-radius:4px;padding:4px;"></div>
+            <button id="mv-download-retry" style="display:none;width:100%;margin-top:6px;padding:6px;background:#ffb74d;color:#fff;border:none;border-radius:4px;font-weight:bold;cursor:pointer;font-size:12px;">失敗分を再試行</button>
+          </div>
+          
           <div style="display:flex;gap:6px;">
             <button id="mv-download-execute" style="flex:1;padding:8px;background:#4FC3F7;color:#fff;border:none;border-radius:4px;font-weight:bold;cursor:pointer;font-size:13px;">
               ダウンロード
@@ -574,7 +1336,7 @@
               width: 100%;
               height: 6px;
               cursor: pointer;
-              background: linear-gradient(to left, #007AFF var(--progress, 0%), #ddd var(--progress, 0%));
+              background: linear-gradient(var(--mv-fill-direction, to left), #007AFF var(--progress, 0%), #ddd var(--progress, 0%));
               border-radius: 3px;
             }
             input[type="range"]#mv-range-slider-start::-webkit-slider-thumb,
@@ -598,7 +1360,7 @@
             input[type="range"]#mv-viewer-slider::-moz-range-track {
               width: 100%;
               height: 6px;
-              background: linear-gradient(to left, #007AFF var(--progress, 0%), #ddd var(--progress, 0%));
+              background: linear-gradient(var(--mv-fill-direction, to left), #007AFF var(--progress, 0%), #ddd var(--progress, 0%));
               border-radius: 3px;
             }
             input[type="range"]#mv-range-slider-start::-moz-range-thumb,
@@ -619,12 +1381,16 @@
       elements.downloadPanel = panel;
 
       this.setupEventListeners();
+      // このページで以前に開始したジョブがあれば進捗を再表示する
+      chrome.runtime.sendMessage({ action: 'getDownloadJob', pageUrl: window.location.href }).catch(() => { });
     },
     setupEventListeners() {
       const endPageInput = document.getElementById('mv-end-page');
       const endPageSlider = document.getElementById('mv-range-slider-end');
+      Viewer.applySliderDirection(endPageSlider);
       const startPageInput = document.getElementById('mv-start-page');
       const startPageSlider = document.getElementById('mv-range-slider-start');
+      Viewer.applySliderDirection(startPageSlider);
       const executeBtn = document.getElementById('mv-download-execute');
       const cancelBtn = document.getElementById('mv-download-cancel');
       const folderNameInput = document.getElementById('mv-folder-name');
@@ -653,30 +1419,17 @@
 
       // [修正] 開始ページ用：指定ページが「右側」に来るようにジャンプ
       const jumpToStartPage = (pageNum) => {
-        const isSinglePage = Settings.getSinglePageMode();
-        let targetPageIndex;
-        if (isSinglePage) {
-          targetPageIndex = pageNum - 1;
-        } else {
-          // 指定ページのインデックスをそのまま渡すと、そのページが右側に来る
-          targetPageIndex = pageNum - 1;
-        }
-        targetPageIndex = Math.max(0, Math.min(targetPageIndex, state.images.length - 1));
+        // 指定ページの位置をそのまま渡すと、そのページが右側に来る
+        const targetPageIndex = Layout.slotOf(Math.max(0, Math.min(pageNum - 1, state.images.length - 1)));
         if (elements.container?.style.display === 'flex') Viewer.showPage(targetPageIndex);
       };
 
       // 終了ページ用：指定ページが「左側」に来るようにジャンプ
       const jumpToEndPage = (pageNum) => {
         const isSinglePage = Settings.getSinglePageMode();
-        let targetPageIndex;
-        if (isSinglePage) {
-          targetPageIndex = pageNum - 1;
-        } else {
-          // 指定ページを左側にするため、その前のページから表示を開始する
-          targetPageIndex = pageNum - 2;
-          if (pageNum === 1) targetPageIndex = 0;
-        }
-        targetPageIndex = Math.max(0, Math.min(targetPageIndex, state.images.length - 1));
+        let targetPageIndex = Layout.slotOf(Math.max(0, Math.min(pageNum - 1, state.images.length - 1)));
+        // 指定ページを左側にするため、その前のページから表示を開始する
+        if (!isSinglePage && !Settings.getScrollMode()) targetPageIndex = Math.max(0, targetPageIndex - 1);
         if (elements.container?.style.display === 'flex') Viewer.showPage(targetPageIndex);
       };
 
@@ -720,6 +1473,14 @@
         state.downloadCancelled = false;
       });
 
+      const retryBtn = document.getElementById('mv-download-retry');
+      retryBtn.addEventListener('click', async () => {
+        if (!state.downloadJobId) return;
+        retryBtn.style.display = 'none';
+        executeBtn.style.display = 'none'; cancelBtn.style.display = 'block';
+        await chrome.runtime.sendMessage({ action: 'retryDownloadJob', jobId: state.downloadJobId });
+      });
+
       executeBtn.addEventListener('click', async () => {
         let folderName = document.getElementById('mv-folder-name').value.trim();
         if (!folderName) {
@@ -729,13 +1490,40 @@
         const startPage = parseInt(startPageInput.value);
         const endPage = parseInt(endPageInput.value);
         const useOriginalNames = document.querySelector('input[name="mv-filename-type"]:checked')?.value === 'original';
+        const format = document.querySelector('input[name="mv-download-format"]:checked')?.value || 'individual';
+        const statusEl = document.getElementById('mv-download-status');
         state.downloadCancelled = false;
         executeBtn.style.display = 'none'; cancelBtn.style.display = 'block';
         const totalImages = Math.abs(endPage - startPage) + 1;
+        await DownloadManager.saveDownloadFormat(format);
+
+        if (format === 'individual') {
+          const concurrency = Math.max(1, Math.min(parseInt(document.getElementById('mv-download-concurrency').value) || 3, 6));
+          try {
+            await DownloadManager.saveConcurrency(concurrency);
+            state.downloadJobId = null;
+            state.downloadJobId = await DownloadManager.downloadIndividual(folderName, startPage, endPage, useOriginalNames, concurrency);
+          } catch (error) {
+            console.error('Download failed:', error);
+            Utils.showMessage(`エラー: ${error.message || 'ダウンロード失敗'}`, 'rgba(200,0,0,0.8)');
+            executeBtn.style.display = 'block';
+            cancelBtn.style.display = 'none';
+          }
+          return;
+        }
+
         Utils.showMessage('ダウンロード開始...', 'rgba(0,150,200,0.8)', 2000);
+        // 以前の個別ダウンロードのジョブを取り消し対象にしないよう、ZIP作成中であることを記録する
+        state.downloadJobId = null;
+        state.zipInProgress = true;
         try {
-          await DownloadManager.downloadIndividual(folderName, startPage, endPage, useOriginalNames);
-          if (!state.downloadCancelled) {
+          statusEl.textContent = `アーカイブ作成中... 0/${totalImages}`;
+          statusEl.style.display = 'block';
+          const result = await DownloadManager.downloadAsZip(folderName, startPage, endPage, useOriginalNames, format);
+          const failedCount = result.failed?.length || 0;
+          if (!state.downloadCancelled && failedCount) {
+            Utils.showMessage(`${totalImages - failedCount}枚のダウンロード完了（${failedCount}枚は取得に失敗しました）`, 'rgba(200,100,0,0.8)', 4000);
+          } else if (!state.downloadCancelled) {
             Utils.showMessage(`${totalImages}枚のダウンロード完了`, 'rgba(0,150,0,0.8)');
           } else {
             Utils.showMessage('ダウンロードキャンセル', 'rgba(150,150,0,0.8)');
@@ -744,18 +1532,65 @@
           console.error('Download failed:', error);
           Utils.showMessage(`エラー: ${error.message || 'ダウンロード失敗'}`, 'rgba(200,0,0,0.8)');
         } finally {
+          state.zipInProgress = false;
           executeBtn.style.display = 'block';
           cancelBtn.style.display = 'none';
+          statusEl.style.display = 'none';
           elements.downloadPanel.style.display = 'none';
         }
       });
 
       cancelBtn.addEventListener('click', () => {
         state.downloadCancelled = true;
+        if (state.zipInProgress) chrome.runtime.sendMessage({ action: 'cancelZip' }).catch(() => { });
+        else if (state.downloadJobId) chrome.runtime.sendMessage({ action: 'cancelDownloadJob', jobId: state.downloadJobId }).catch(() => { });
         Utils.showMessage('キャンセル中...', 'rgba(200,100,0,0.8)', 1500);
       });
     },
 
+    renderJob(job) {
+      // ZIP作成中は個別ダウンロードの通知でボタンの表示を切り替えない
+      if (!elements.downloadPanel || state.zipInProgress) return;
+      if (state.downloadJobId && job.id !== state.downloadJobId) return;
+      const isTracked = state.downloadJobId === job.id;
+      state.downloadJobId = job.id;
+
+      const statusIcons = { pending: '⏳', active: '⬇', done: '✅', failed: '❌', cancelled: '－' };
+      const { summary } = job;
+      const isRunning = job.status === 'running';
+      const list = document.getElementById('mv-download-list');
+      const fragment = document.createDocumentFragment();
+      job.items.forEach(item => {
+        const row = document.createElement('div');
+        row.style.cssText = `display:flex;gap:6px;padding:1px 0;color:${item.status === 'failed' ? '#c62828' : '#333'};`;
+        const retryNote = item.status === 'pending' && item.attempts > 0 ? ` (再試行 ${item.attempts})` : '';
+        row.textContent = `${statusIcons[item.status] || ''} ${String(item.page).padStart(3, '0')} ${item.filename.split('/').pop()}${retryNote}`;
+        if (item.error) row.title = item.error;
+        fragment.appendChild(row);
+      });
+      list.replaceChildren(fragment);
+
+      const summaryEl = document.getElementById('mv-download-summary');
+      if (isRunning) summaryEl.textContent = `ダウンロード中... ${summary.done}/${summary.total}${summary.failed ? ` (失敗 ${summary.failed})` : ''}`;
+      else if (job.status === 'cancelled') summaryEl.textContent = `キャンセルしました (${summary.done}/${summary.total} 完了)`;
+      else summaryEl.textContent = `${summary.done}件成功 / ${summary.failed}件失敗`;
+
+      document.getElementById('mv-download-progress').style.display = 'block';
+      document.getElementById('mv-download-retry').style.display = !isRunning && (summary.failed || summary.cancelled) ? 'block' : 'none';
+      document.getElementById('mv-download-execute').style.display = isRunning ? 'none' : 'block';
+      document.getElementById('mv-download-cancel').style.display = isRunning ? 'block' : 'none';
+
+      if (isTracked && job.status === 'finished' && elements.downloadPanel.style.display !== 'block') {
+        const color = summary.failed ? 'rgba(200,100,0,0.8)' : 'rgba(0,150,0,0.8)';
+        Utils.showMessage(`${summary.done}件成功 / ${summary.failed}件失敗`, color);
+      }
+    },
+
+    updateZipProgress(done, total) {
+      const statusEl = document.getElementById('mv-download-status');
+      if (statusEl) statusEl.textContent = `アーカイブ作成中... ${done}/${total}`;
+    },
+
     toggle() {
       if (!elements.downloadPanel) return;
       const isVisible = elements.downloadPanel.style.display === 'block';
@@ -764,130 +1599,1763 @@
   };
 
 
-  const Viewer = {
-    create() {
-      if (elements.container) return;
-
-      // [修正] スライダーのスタイルを最初に定義し、色の変化を防ぐ
-      if (!document.getElementById('mv-shared-slider-styles')) {
-        const style = document.createElement('style');
-        style.id = 'mv-shared-slider-styles';
-        style.textContent = `
-          input[type="range"]#mv-range-slider-start,
-          input[type="range"]#mv-range-slider-end,
-          input[type="range"]#mv-viewer-slider {
-            -webkit-appearance: none; appearance: none; width: 100%; height: 18px;
-            background-color: transparent; outline: none; margin: 0; padding: 0;
-          }
-          input[type="range"]#mv-range-slider-start::-webkit-slider-runnable-track,
-          input[type="range"]#mv-range-slider-end::-webkit-slider-runnable-track,
-          input[type="range"]#mv-viewer-slider::-webkit-slider-runnable-track {
-            width: 100%; height: 6px; cursor: pointer;
-            background: linear-gradient(to left, #007AFF var(--progress, 0%), #ddd var(--progress, 0%));
-            border-radius: 3px;
-          }
-          input[type="range"]#mv-range-slider-start::-webkit-slider-thumb,
-          input[type="range"]#mv-range-slider-end::-webkit-slider-thumb,
-          input[type="range"]#mv-viewer-slider::-webkit-slider-thumb {
-            -webkit-appearance: none; appearance: none; height: 18px; width: 18px;
-            border-radius: 50%; background: #f8f9fa; cursor: pointer;
-            margin-top: -6px; border: 1px solid #ced4da;
-            box-shadow: 0 1px 3px rgba(0,0,0,0.2);
-          }
-          input[type="range"]#mv-range-slider-start::-moz-range-track,
-          input[type="range"]#mv-range-slider-end::-moz-range-track,
-          input[type="range"]#mv-viewer-slider::-moz-range-track {
-            width: 100%; height: 6px;
-            background: linear-gradient(to left, #007AFF var(--progress, 0%), #ddd var(--progress, 0%));
-            border-radius: 3px;
-          }
-          input[type="range"]#mv-range-slider-start::-moz-range-thumb,
-          input[type="range"]#mv-range-slider-end::-moz-range-thumb,
-          input[type="range"]#mv-viewer-slider::-moz-range-thumb {
-            width: 18px; height: 18px; border-radius: 50%;
-            background: #f8f9fa; cursor: pointer; border: 1px solid #ced4da;
-            box-shadow: 0 1px 3px rgba(0,0,0,0.2);
-          }
-        `;
-        document.head.appendChild(style);
-      }
-
-      elements.container = this.createContainer();
-      elements.imageArea = this.createImageArea();
-      this.setupControls(); this.setupEventListeners();
-      elements.container.appendChild(elements.imageArea);
-      document.body.appendChild(elements.container);
-      this.initializeNavigation();
-      NiconicoUI.updateVisibility();
+  const ChapterNavigator = {
+    NEXT_TEXT: /^(次の?(話|章|ページ|エピソード)?|次へ|next( chapter| episode)?|›|»|>>?)$/i,
+    PREV_TEXT: /^(前の?(話|章|ページ|エピソード)?|前へ|prev(ious)?( chapter| episode)?|‹|«|<<?)$/i,
+    findLinks() {
+      return { next: this.findLink('next'), prev: this.findLink('prev') };
     },
-    createContainer() {
-      const container = document.createElement('div');
-      container.style.cssText = `position:fixed;top:0;left:0;width:100vw;height:100vh;background:${Settings.getBgColor()};z-index:10000;display:none;justify-content:center;align-items:center;flex-direction:column;`;
-      return container;
+    findLink(direction) {
+      return this.findBySelector(direction) || this.findByRel(direction) || this.findByText(direction) || this.findByUrlNumber(direction);
     },
-    createImageArea() {
-      const imageArea = document.createElement('div');
-      const isSingle = Settings.getSinglePageMode();
-      imageArea.style.cssText = `display:flex;${isSingle ? 'flex-direction:column' : 'flex-direction:row-reverse'};justify-content:center;align-items:center;max-width:calc(100vw - 10px);max-height:calc(100vh - 10px);gap:2px;padding:5px;box-sizing:border-box;`;
-      return imageArea;
+    findBySelector(direction) {
+      const selector = state.settings.chapterSelector?.[direction];
+      if (!selector) return null;
+      try {
+        return this.toLink(document.querySelector(selector), 'selector');
+      } catch (e) { return null; }
     },
-    initializeNavigation() { if (!elements.navigationElement) this.setupNavigation(); },
-    setupNavigation() {
-      const nav = document.createElement('div');
-      nav.setAttribute('data-mv-ui', '1');
-      nav.style.cssText = `position:absolute;bottom:20px;left:50%;transform:translateX(-50%);color:white;font-size:16px;background:rgba(0,0,0,0.7);padding:10px 20px;border-radius:20px;display:flex;align-items:center;gap:12px;opacity:1;transition:opacity 0.5s;`;
-      const isSingle = Settings.getSinglePageMode(), step = isSingle ? 1 : 2;
-      const btnNext = Utils.createButton(isSingle ? '←次' : '←次', {}, () => this.nextPage(step));
-      const btnNextSingle = Utils.createButton('←単', {}, () => this.nextPage(1));
-      const btnPrevSingle = Utils.createButton('単→', {}, () => this.prevPage(1));
-      const btnPrev = Utils.createButton(isSingle ? '戻→' : '戻→', {}, () => this.prevPage(step));
-
-      const sliderWrapper = document.createElement('div');
-      sliderWrapper.style.cssText = 'position:relative;width:200px;height:18px;display:flex;align-items:center;';
-
-      const slider = document.createElement('input');
-      slider.type = 'range';
-      slider.id = 'mv-viewer-slider';
-      slider.setAttribute('data-mv-ui', '1');
-      slider.min = '1';
-      slider.max = state.images.length.toString();
-      slider.value = (state.currentPage + 1).toString();
-      // [修正] step属性を削除し、イベント側で挙動を制御
-      slider.style.cssText = `width:100%;direction:rtl;margin:0;padding:0;`;
+    findByRel(direction) {
+      return this.toLink(document.querySelector(`a[rel~="${direction}"][href], link[rel~="${direction}"][href]`), 'rel');
+    },
+    findByText(direction) {
+      const pattern = direction === 'next' ? this.NEXT_TEXT : this.PREV_TEXT;
+      const anchor = Array.from(document.querySelectorAll('a[href]')).find(a => {
+        if (a.closest('[data-mv-ui="1"]')) return false;
+        const text = (a.textContent || a.title || a.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim();
+        return text.length <= 20 && pattern.test(text.replace(/[\s→←]+/g, ' ').trim());
+      });
+      return this.toLink(anchor, 'text');
+    },
+    // URL末尾の数字を±1したURLへのリンクがページ内にあれば使う
+    findByUrlNumber(direction) {
+      const candidates = this.numberedUrls(direction);
+      if (!candidates.length) return null;
+      const anchor = Array.from(document.querySelectorAll('a[href]')).find(a => candidates.includes(a.href));
+      return this.toLink(anchor, 'url');
+    },
+    // URL末尾の数字を±1したURL（桁数をそろえたもの、そろえないもの）。ページ内にリンクが無くても候補として使う
+    numberedUrls(direction) {
+      const current = window.location.href.replace(/#.*$/, '');
+      const match = current.match(/^(.*\D)(\d+)(\D*)$/);
+      if (!match) return [];
+      const [, before, digits, after] = match;
+      const number = parseInt(digits, 10) + (direction === 'next' ? 1 : -1);
+      if (number < 0) return [];
+      return [...new Set([`${before}${String(number).padStart(digits.length, '0')}${after}`, `${before}${number}${after}`])];
+    },
+    toLink(element, source) {
+      if (!element?.href) return null;
+      const url = element.href;
+      if (!/^https?:/i.test(url) || url.replace(/#.*$/, '') === window.location.href.replace(/#.*$/, '')) return null;
+      return { url, source };
+    },
+    showCard(direction) {
+      this.hideCard();
+      const link = this.findLink(direction);
+      const card = document.createElement('div');
+      card.setAttribute('data-mv-ui', '1');
+      card.style.cssText = `position:absolute;top:50%;left:50%;transform:translate(-50%,-50%);background:rgba(0,0,0,0.85);color:white;padding:20px 24px;border-radius:10px;z-index:3;font-size:14px;text-align:center;min-width:240px;`;
 
-      slider.addEventListener('input', (e) => {
-        let targetPage = parseInt(e.target.value) - 1;
-        const isSingle = Settings.getSinglePageMode();
+      const title = document.createElement('div');
+      title.style.cssText = 'font-weight:bold;margin-bottom:12px;';
+      title.textContent = direction === 'next' ? '最後のページです' : '最初のページです';
+      card.appendChild(title);
 
-        // [修正] 見開き表示の時、スライダードラッグ操作であれば2ページ単位に補正
-        if (!isSingle) {
-          targetPage = Math.floor(targetPage / 2) * 2;
+      if (link) {
+        const label = direction === 'next' ? '次の話 →' : '← 前の話';
+        const goBtn = Utils.createButton(label, { background: '#4FC3F7', fontWeight: 'bold', padding: '8px 16px', fontSize: '14px' }, () => this.go(link.url));
+        card.appendChild(goBtn);
+      } else {
+        const note = document.createElement('div');
+        note.style.cssText = 'font-size:12px;opacity:0.8;';
+        note.textContent = direction === 'next' ? '次の話が見つかりませんでした' : '前の話が見つかりませんでした';
+        card.appendChild(note);
+        // ページ内に無いURLは存在するか分からないので、ボタンを押したときだけ開く（もう一度のページ送りでは移動しない）
+        const [guess] = this.numberedUrls(direction);
+        if (guess) {
+          const guessBtn = Utils.createButton('URLの番号を変えて開く（推測）', { display: 'block', margin: '10px auto 0', background: 'transparent', border: '1px solid rgba(255,255,255,0.5)', fontSize: '12px' }, () => this.go(guess));
+          guessBtn.title = guess;
+          card.appendChild(guessBtn);
         }
+      }
 
-        targetPage = Math.max(0, Math.min(targetPage, state.images.length - 1));
-        this.showPage(targetPage);
-      });
-
-      sliderWrapper.appendChild(slider);
-      nav.append(btnNext, btnNextSingle, sliderWrapper, btnPrevSingle, btnPrev);
-      elements.container.appendChild(nav);
-      elements.navigationElement = nav;
-      elements.viewerSlider = slider;
-
-      const scheduleFade = () => { clearTimeout(timers.navigation); timers.navigation = setTimeout(() => nav.style.opacity = '0', 3000); };
-      nav.addEventListener('mouseenter', () => { nav.style.opacity = '1'; clearTimeout(timers.navigation); });
-      nav.addEventListener('mouseleave', scheduleFade);
-      scheduleFade();
+      const closeBtn = Utils.createButton('閉じる', { display: 'block', margin: '12px auto 0', fontSize: '12px' }, () => this.hideCard());
+      card.appendChild(closeBtn);
+      card.dataset.direction = direction;
+      card.dataset.url = link?.url || '';
+      card.dataset.shownAt = String(Date.now());
+      elements.container.appendChild(card);
+      elements.chapterCard = card;
     },
-    updateNavigation() {
-      if (elements.navigationElement) { elements.navigationElement.remove(); elements.navigationElement = null; }
-      this.setupNavigation();
+    hideCard() {
+      if (elements.chapterCard) { elements.chapterCard.remove(); elements.chapterCard = null; }
+    },
+    // カード表示中にもう一度同じ方向へ進んだ場合はそのまま移動する
+    confirmCard(direction) {
+      const card = elements.chapterCard;
+      if (!card || card.dataset.direction !== direction) return false;
+      // ホイールの連続イベントで誤って移動しないよう、表示直後は確定しない
+      if (Date.now() - parseInt(card.dataset.shownAt) < 600) return true;
+      if (card.dataset.url) this.go(card.dataset.url);
+      return true;
+    },
+    async go(url) {
+      await chrome.storage.local.set({
+        mangaViewerAutoLaunch: {
+          url: url,
+          from: window.location.href,
+          detectionMode: Settings.getDetectionMode(),
+          singlePageMode: Settings.getSinglePageMode(),
+          createdAt: Date.now()
+        }
+      });
+      window.location.href = url;
+    },
+    async resumeAutoLaunch() {
+      const result = await chrome.storage.local.get('mangaViewerAutoLaunch');
+      const pending = result.mangaViewerAutoLaunch;
+      if (!pending) return;
+      if (Date.now() - pending.createdAt > CONFIG.chapter.autoLaunchTtlMs) {
+        await chrome.storage.local.remove('mangaViewerAutoLaunch');
+        return;
+      }
+      // 他のタブで開いたページでは消費しない。リダイレクトでURLが変わった場合は、
+      // 移動先と同じホストで、移動元のページから開かれたときだけ対象とみなす
+      const strip = url => String(url || '').replace(/#.*$/, '');
+      let targetHost = '';
+      try { targetHost = new URL(pending.url).hostname; } catch (e) { }
+      const isTarget = strip(pending.url) === strip(window.location.href)
+        || (targetHost === window.location.hostname && !!document.referrer && strip(document.referrer) === strip(pending.from));
+      if (!isTarget) return;
+      await chrome.storage.local.remove('mangaViewerAutoLaunch');
+      state.settings.detectionMode = pending.detectionMode;
+      state.settings.singlePageMode = pending.singlePageMode;
+
+      const startedAt = Date.now();
+      let lastCount = -1;
+      const poll = setInterval(() => {
+        ImageManager.refresh();
+        const count = state.images.length;
+        const stable = count >= CONFIG.minMangaImageCount && count === lastCount;
+        lastCount = count;
+        if (stable || Date.now() - startedAt > CONFIG.chapter.autoLaunchTimeoutMs) {
+          clearInterval(poll);
+          if (count >= CONFIG.minMangaImageCount) Viewer.launch(0);
+          else Utils.showMessage('次の話の画像が見つかりませんでした', 'rgba(200,0,0,0.8)');
+        }
+      }, CONFIG.chapter.autoLaunchPollMs);
+    }
+  };
+
+  const ReadingProgress = {
+    STORAGE_KEY: 'mangaViewerProgress',
+    getUrl() { return window.location.href.replace(/#.*$/, ''); },
+    async load() {
+      const result = await chrome.storage.local.get(this.STORAGE_KEY);
+      return result[this.STORAGE_KEY] || {};
+    },
+    async get() {
+      return (await this.load())[this.getUrl()] || null;
+    },
+    scheduleSave() {
+      clearTimeout(timers.progress);
+      timers.progress = setTimeout(() => this.save(), CONFIG.progress.saveDebounceMs);
+    },
+    async save() {
+      clearTimeout(timers.progress);
+      // 再開の提案中は前回の位置を上書きしない
+      if (!state.images.length || elements.resumePrompt) return;
+      try {
+        const progress = await this.load();
+        progress[this.getUrl()] = {
+          page: Viewer.getVisiblePages()[0] ?? 0,
+          total: state.images.length,
+          title: document.title,
+          updatedAt: Date.now()
+        };
+        // 古いものから削除して件数を制限する
+        const urls = Object.keys(progress).sort((a, b) => progress[b].updatedAt - progress[a].updatedAt);
+        urls.slice(CONFIG.progress.maxEntries).forEach(url => delete progress[url]);
+        await chrome.storage.local.set({ [this.STORAGE_KEY]: progress });
+      } catch (e) { }
+    },
+    async offerResume() {
+      const saved = await this.get();
+      if (!saved || saved.page <= 0 || saved.page >= state.images.length || state.currentPage !== 0) return;
+      this.hidePrompt();
+      const prompt = document.createElement('div');
+      prompt.setAttribute('data-mv-ui', '1');
+      prompt.style.cssText = `position:absolute;top:20px;left:50%;transform:translateX(-50%);background:rgba(0,0,0,0.8);color:white;padding:8px 12px;border-radius:8px;z-index:3;font-size:13px;display:flex;align-items:center;gap:8px;`;
+      const label = document.createElement('span');
+      label.textContent = `前回: ${saved.page + 1}/${saved.total}ページ`;
+      const resumeBtn = Utils.createButton(`p.${saved.page + 1}から再開`, { background: '#4FC3F7', fontWeight: 'bold' }, () => { this.hidePrompt(); Viewer.showPage(Viewer.snapToSpread(Layout.slotOf(saved.page))); });
+      const dismissBtn = Utils.createButton('×', { background: 'transparent', padding: '2px 6px' }, () => this.hidePrompt());
+      prompt.append(label, resumeBtn, dismissBtn);
+      elements.container.appendChild(prompt);
+      elements.resumePrompt = prompt;
+      setTimeout(() => { if (elements.resumePrompt === prompt) this.hidePrompt(); }, CONFIG.progress.resumePromptMs);
+    },
+    hidePrompt() {
+      if (elements.resumePrompt) { elements.resumePrompt.remove(); elements.resumePrompt = null; }
+    }
+  };
+
+  const Bookmarks = {
+    STORAGE_KEY: 'mangaViewerBookmarks',
+    list: [],
+    async load() {
+      const result = await chrome.storage.local.get(this.STORAGE_KEY);
+      this.list = (result[this.STORAGE_KEY] || {})[ReadingProgress.getUrl()] || [];
+      return this.list;
+    },
+    async persist() {
+      const result = await chrome.storage.local.get(this.STORAGE_KEY);
+      const all = result[this.STORAGE_KEY] || {};
+      if (this.list.length) all[ReadingProgress.getUrl()] = this.list;
+      else delete all[ReadingProgress.getUrl()];
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: all });
+      this.renderTicks();
+      if (elements.bookmarkPanel?.style.display === 'block') this.renderPanel();
+    },
+    find(page) { return this.list.find(b => b.page === page); },
+    async toggleCurrent() {
+      await this.load();
+      const page = Viewer.getVisiblePages()[0];
+      if (page === undefined) return;
+      if (this.find(page)) {
+        await this.remove(page);
+        Utils.showMessage(`p.${page + 1} のしおりを削除しました`, 'rgba(150,150,0,0.8)');
+        return;
+      }
+      const note = window.prompt(`p.${page + 1} にしおりを追加します。メモ（任意）:`, '');
+      if (note === null) return;
+      this.list.push({ page, note: note.trim(), thumbnail: await this.createThumbnail(page), createdAt: Date.now() });
+      this.list.sort((a, b) => a.page - b.page);
+      await this.persist();
+      Utils.showMessage(`p.${page + 1} にしおりを追加しました`);
+    },
+    async remove(page) {
+      this.list = this.list.filter(b => b.page !== page);
+      await this.persist();
+    },
+    async createThumbnail(page) {
+      const img = state.images[page];
+      if (!img) return null;
+      const height = CONFIG.bookmark.thumbnailHeight;
+      try {
+        if (!img.complete || !img.naturalHeight) throw new Error('not loaded');
+        const canvas = document.createElement('canvas');
+        canvas.height = height;
+        canvas.width = Math.max(1, Math.round(img.naturalWidth * height / img.naturalHeight));
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL('image/jpeg', 0.7);
+      } catch (e) {
+        // CORSでCanvasが汚染された場合はService Workerで生成する
+        try {
+          const response = await chrome.runtime.sendMessage({ action: 'createThumbnail', url: img.src, height: height });
+          return (response?.success && response.dataUrl) || null;
+        } catch (err) { return null; }
+      }
+    },
+    // 見開きの先頭どうしで比べ、表示中の見開きに含まれるしおりは飛ばす
+    jumpRelative(direction) {
+      const current = Viewer.snapToSpread(state.currentPage);
+      const pages = this.list.map(b => Viewer.snapToSpread(Layout.slotOf(b.page)));
+      const target = direction > 0 ? pages.find(p => p > current) : pages.reverse().find(p => p < current);
+      if (target !== undefined) Viewer.showPage(target);
+    },
+    renderTicks() {
+      const slider = elements.viewerSlider;
+      if (!slider) return;
+      if (!elements.bookmarkTicks) {
+        elements.bookmarkTicks = document.createElement('div');
+        elements.bookmarkTicks.style.cssText = 'position:absolute;inset:0;pointer-events:none;';
+        slider.parentElement.appendChild(elements.bookmarkTicks);
+      }
+      const min = parseInt(slider.min) || 1, max = parseInt(slider.max) || Layout.getTotal();
+      elements.bookmarkTicks.replaceChildren(...this.list.map(bookmark => {
+        const tick = document.createElement('div');
+        const ratio = max > min ? (Layout.slotOf(bookmark.page) + 1 - min) / (max - min) : 0;
+        // スライダーの進む方向の端からの位置で配置する（つまみの半径分を内側に寄せる）
+        tick.style.cssText = `position:absolute;top:0;width:2px;height:5px;background:#FFD54F;${Settings.isLeftToRight() ? 'left' : 'right'}:calc(9px + ${ratio} * (100% - 18px));`;
+        tick.title = bookmark.note || `p.${bookmark.page + 1}`;
+        return tick;
+      }));
+    },
+    async togglePanel() {
+      if (!elements.bookmarkPanel) {
+        const panel = document.createElement('div');
+        panel.setAttribute('data-mv-ui', '1');
+        panel.setAttribute('data-mv-scroll', '1');
+        panel.style.cssText = `position:absolute;top:70px;right:80px;background:white;color:#333;padding:12px;border-radius:8px;z-index:2;font-size:12px;width:260px;max-height:60vh;overflow-y:auto;display:none;box-shadow:0 4px 12px rgba(0,0,0,0.3);`;
+        elements.container.appendChild(panel);
+        elements.bookmarkPanel = panel;
+      }
+      const isVisible = elements.bookmarkPanel.style.display === 'block';
+      if (!isVisible) { await this.load(); this.renderPanel(); }
+      elements.bookmarkPanel.style.display = isVisible ? 'none' : 'block';
+    },
+    renderPanel() {
+      const panel = elements.bookmarkPanel;
+      const header = document.createElement('div');
+      header.style.cssText = 'display:flex;align-items:center;gap:4px;margin-bottom:8px;';
+      const title = document.createElement('div');
+      title.style.cssText = 'font-weight:bold;flex:1;';
+      title.textContent = `しおり (${this.list.length})`;
+      const navStyle = { background: '#eee', color: '#333', padding: '3px 8px', fontSize: '12px' };
+      // 左から右へ読む場合は ▶ が先へ進む（ナビゲーションバーのボタンと同じ向き）
+      header.append(
+        title,
+        Utils.createButton('◀', navStyle, () => this.jumpRelative(Settings.isLeftToRight() ? -1 : 1)),
+        Utils.createButton('▶', navStyle, () => this.jumpRelative(Settings.isLeftToRight() ? 1 : -1)),
+        Utils.createButton('×', navStyle, () => this.togglePanel())
+      );
+
+      const list = document.createElement('div');
+      if (!this.list.length) {
+        list.style.cssText = 'color:#777;padding:8px 0;';
+        list.textContent = '「b」キーか「＋現在のページ」でしおりを追加できます';
+      }
+      const visible = Viewer.getVisiblePages();
+      this.list.forEach(bookmark => {
+        const row = document.createElement('div');
+        row.style.cssText = `display:flex;gap:8px;align-items:center;padding:4px;border-radius:4px;cursor:pointer;${bookmark.page === visible[0] ? 'background:#e3f2fd;' : ''}`;
+        if (bookmark.thumbnail) {
+          const thumb = document.createElement('img');
+          thumb.src = bookmark.thumbnail;
+          thumb.style.cssText = 'height:48px;max-width:48px;object-fit:contain;flex-shrink:0;';
+          row.appendChild(thumb);
+        }
+        const text = document.createElement('div');
+        text.style.cssText = 'flex:1;min-width:0;';
+        const pageLabel = document.createElement('div');
+        pageLabel.style.fontWeight = 'bold';
+        pageLabel.textContent = `p.${bookmark.page + 1}`;
+        const note = document.createElement('div');
+        note.style.cssText = 'color:#555;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;';
+        note.textContent = bookmark.note;
+        text.append(pageLabel, note);
+        const deleteBtn = Utils.createButton('削除', { background: 'transparent', color: '#c62828', fontSize: '11px', padding: '2px 4px' }, () => this.remove(bookmark.page));
+        row.append(text, deleteBtn);
+        row.addEventListener('click', () => { Viewer.showPage(Viewer.snapToSpread(Layout.slotOf(bookmark.page))); this.renderPanel(); });
+        list.appendChild(row);
+      });
+
+      const footer = document.createElement('div');
+      footer.style.cssText = 'display:flex;gap:6px;margin-top:8px;';
+      const footerStyle = { flex: '1', background: '#4FC3F7', fontSize: '12px' };
+      footer.append(
+        Utils.createButton('＋現在のページ', footerStyle, () => this.toggleCurrent()),
+        Utils.createButton('JSONエクスポート', { ...footerStyle, background: '#90A4AE' }, () => this.exportJson())
+      );
+      panel.replaceChildren(header, list, footer);
+    },
+    async exportJson() {
+      await this.load();
+      const data = {
+        format: 'manga-viewer-bookmarks',
+        version: 1,
+        url: ReadingProgress.getUrl(),
+        title: document.title,
+        exportedAt: new Date().toISOString(),
+        bookmarks: this.list
+      };
+      const folderName = DownloadManager.getFolderNameFromURL();
+      await chrome.runtime.sendMessage({
+        action: 'downloadImage',
+        url: `data:application/json;charset=utf-8,${encodeURIComponent(JSON.stringify(data, null, 2))}`,
+        filename: `manga-viewer/bookmarks/${folderName}.json`
+      });
+    }
+  };
+
+  const PageOverview = {
+    isOpen() { return !!elements.overview; },
+    toggle() {
+      if (this.isOpen()) this.close();
+      else this.open();
+    },
+    open() {
+      if (!state.images.length || !elements.container) return;
+      const overlay = document.createElement('div');
+      overlay.setAttribute('data-mv-ui', '1');
+      overlay.setAttribute('data-mv-scroll', '1');
+      overlay.style.cssText = `position:absolute;inset:0;background:rgba(0,0,0,0.92);z-index:4;overflow-y:auto;padding:60px 20px 20px;box-sizing:border-box;`;
+
+      const closeBtn = Utils.createButton('×', { position: 'fixed', top: '20px', right: '20px', background: 'rgba(255,255,255,0.2)', fontSize: '24px', width: '40px', height: '40px', borderRadius: '50%', zIndex: '1' }, () => this.close());
+      const grid = document.createElement('div');
+      // 読む方向に合わせて並べる
+      grid.style.cssText = `display:grid;grid-template-columns:repeat(auto-fill,minmax(120px,1fr));gap:12px;direction:${Settings.isLeftToRight() ? 'ltr' : 'rtl'};`;
+
+      const visible = new Set(Viewer.getVisiblePages());
+      let currentCell = null;
+      state.images.forEach((image, i) => {
+        const cell = document.createElement('div');
+        const isCurrent = visible.has(i);
+        cell.style.cssText = `position:relative;cursor:pointer;border-radius:4px;overflow:hidden;background:#222;aspect-ratio:0.7;display:flex;align-items:center;justify-content:center;outline:${isCurrent ? '3px solid #4FC3F7' : 'none'};`;
+        const thumb = document.createElement('img');
+        thumb.loading = 'lazy';
+        thumb.decoding = 'async';
+        thumb.style.cssText = 'width:100%;height:100%;object-fit:contain;display:block;';
+        thumb.addEventListener('error', () => this.markFailed(cell), { once: true });
+        thumb.src = image.src;
+        const label = document.createElement('div');
+        label.style.cssText = 'position:absolute;bottom:0;left:0;right:0;background:rgba(0,0,0,0.6);color:white;font-size:11px;text-align:center;padding:2px 0;direction:ltr;';
+        label.textContent = String(i + 1).padStart(3, '0');
+        cell.append(thumb, label);
+        // 元ページ側で読み込みに失敗している画像も印を付ける
+        if (image.complete && image.src && !image.naturalWidth && !image.dataset.isNiconicoCanvas) this.markFailed(cell);
+        cell.addEventListener('click', () => { this.close(); Viewer.showPage(Viewer.snapToSpread(Layout.slotOf(i))); });
+        grid.appendChild(cell);
+        if (isCurrent && !currentCell) currentCell = cell;
+      });
+
+      overlay.append(closeBtn, grid);
+      elements.container.appendChild(overlay);
+      elements.overview = overlay;
+      if (currentCell) currentCell.scrollIntoView({ block: 'center' });
+    },
+    markFailed(cell) {
+      if (cell.dataset.failed) return;
+      cell.dataset.failed = '1';
+      cell.style.outline = '3px solid #e53935';
+      const badge = document.createElement('div');
+      badge.style.cssText = 'position:absolute;top:4px;left:4px;right:4px;background:rgba(229,57,53,0.9);color:white;font-size:11px;text-align:center;border-radius:3px;padding:2px 0;direction:ltr;';
+      badge.textContent = '読込失敗';
+      cell.appendChild(badge);
+    },
+    close() {
+      if (elements.overview) { elements.overview.remove(); elements.overview = null; }
+    }
+  };
+
+  // 表示上のページ列（スロット）。各スロットは画像のインデックス、または仮想の空白ページ(null)
+  const Layout = {
+    STORAGE_KEY: 'mangaViewerChapterLayout',
+    // chapter.coverAlone: null ならサイト設定に従う / chapter.blanks: 空白を挿入する位置（直後の画像のインデックス）
+    chapter: { coverAlone: null, blanks: [] },
+    url: null,
+    sizes: new Map(),
+    async load() {
+      const url = ReadingProgress.getUrl();
+      try {
+        const result = await chrome.storage.local.get(this.STORAGE_KEY);
+        const entry = (result[this.STORAGE_KEY] || {})[url];
+        this.chapter = { coverAlone: entry?.coverAlone ?? null, blanks: Array.isArray(entry?.blanks) ? entry.blanks : [] };
+      } catch (e) {
+        this.chapter = { coverAlone: null, blanks: [] };
+      }
+      this.url = url;
+    },
+    async persist() {
+      const result = await chrome.storage.local.get(this.STORAGE_KEY);
+      const all = result[this.STORAGE_KEY] || {};
+      if (this.chapter.coverAlone === null && !this.chapter.blanks.length) delete all[this.url];
+      else all[this.url] = { ...this.chapter, updatedAt: Date.now() };
+      const urls = Object.keys(all).sort((a, b) => all[b].updatedAt - all[a].updatedAt);
+      urls.slice(CONFIG.progress.maxEntries).forEach(url => delete all[url]);
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: all });
+    },
+    isCoverAlone() { return this.chapter.coverAlone ?? Settings.getCoverAlone(); },
+    getSlots() {
+      const count = state.images.length, slots = [];
+      // 縦スクロール表示では見開きを組まないため空白ページも使わない
+      if (Settings.getScrollMode()) return state.images.map((_, i) => i);
+      const blanks = this.chapter.blanks.map(b => Math.min(b, count));
+      for (let i = 0; i <= count; i++) {
+        blanks.forEach(b => { if (b === i) slots.push(null); });
+        if (i < count) slots.push(i);
+      }
+      return slots;
+    },
+    getTotal() { return this.getSlots().length; },
+    slotOf(imageIndex) { return Math.max(0, this.getSlots().indexOf(imageIndex)); },
+    getSize(imageIndex) {
+      const img = state.images[imageIndex];
+      if (!img) return null;
+      if (img.naturalWidth && img.naturalHeight) return { width: img.naturalWidth, height: img.naturalHeight };
+      return this.sizes.get(img.src) || null;
+    },
+    // 横長の画像は元から見開きになっているため単独で表示する（サイズ不明の間は縦長として扱う）
+    isWide(slot, slots = this.getSlots()) {
+      if (slots[slot] === null || slots[slot] === undefined) return false;
+      const size = this.getSize(slots[slot]);
+      return !!size && size.width > size.height;
+    },
+    // 表示位置の前後の画像サイズを調べ、判明して現在の見開きが変わる場合は描き直す
+    // サイズは Preloader の読み込み完了時に record される
+    // 先読みの設定を超えては読み込まない（先読み 0 なら表示するページの分だけ）
+    measureAround(slot) {
+      const slots = this.getSlots(), range = Math.min(CONFIG.layout.measureRange, Settings.getPreloadDistance() * 2);
+      for (let s = Math.max(0, slot - range); s < Math.min(slots.length, slot + range + 1); s++) {
+        const img = state.images[slots[s]];
+        if (img?.src && !this.getSize(slots[s])) Preloader.load(img.src);
+      }
+    },
+    record(src, width, height) {
+      if (!width || !height) return;
+      const slots = this.getSlots();
+      const before = this.spreadAt(state.currentPage, slots).join();
+      this.sizes.set(src, { width, height });
+      if (elements.container?.style.display === 'flex' && this.spreadAt(state.currentPage, slots).join() !== before) {
+        Viewer.showPage(state.currentPage);
+      }
+    },
+    // slot から表示を始めたときに並ぶスロット
+    spreadAt(slot, slots = this.getSlots()) {
+      if (Settings.getSinglePageMode() || Settings.getScrollMode() || slot >= slots.length - 1 || (slot === 0 && this.isCoverAlone())) return [slot];
+      if (this.isWide(slot, slots) || this.isWide(slot + 1, slots)) return [slot];
+      return [slot, slot + 1];
+    },
+    // 先頭から見開きを組んだときに slot を含む見開きの開始位置
+    snap(slot) {
+      const slots = this.getSlots();
+      slot = Math.max(0, Math.min(slot, slots.length - 1));
+      let start = 0;
+      while (start + this.spreadAt(start, slots).length <= slot) start += this.spreadAt(start, slots).length;
+      return start;
+    },
+    // 直前の見開きの開始位置。先頭から組んだ見開きの切れ目と一致すればそれを優先する
+    prevStart(slot) {
+      if (slot <= 0) return slot - 1;
+      const slots = this.getSlots();
+      const start = this.snap(slot - 1);
+      if (start + this.spreadAt(start, slots).length === slot) return start;
+      if (slot - 2 >= 0 && this.spreadAt(slot - 2, slots).length === 2) return slot - 2;
+      return slot - 1;
+    },
+    async setCoverAlone(value) {
+      this.chapter.coverAlone = value;
+      await this.persist();
+      Viewer.showPage(this.snap(state.currentPage));
+    },
+    // 表示中の最初の画像の前に空白を挿入する
+    async insertBlank() {
+      const slots = this.getSlots();
+      const image = slots.slice(state.currentPage).find(i => i !== null);
+      this.chapter.blanks.push(image === undefined ? state.images.length : image);
+      this.chapter.blanks.sort((a, b) => a - b);
+      await this.persist();
+      Viewer.showPage(state.currentPage);
+    },
+    async removeVisibleBlank() {
+      const slots = this.getSlots();
+      const blankSlot = this.spreadAt(state.currentPage, slots).find(slot => slots[slot] === null);
+      if (blankSlot === undefined) {
+        Utils.showMessage('表示中のページに空白はありません', 'rgba(150,150,0,0.8)');
+        return;
+      }
+      const next = slots.slice(blankSlot).find(i => i !== null);
+      const before = next === undefined ? state.images.length : next;
+      const index = this.chapter.blanks.findIndex(b => Math.min(b, state.images.length) === before);
+      if (index >= 0) this.chapter.blanks.splice(index, 1);
+      await this.persist();
+      Viewer.showPage(Math.min(state.currentPage, this.getTotal() - 1));
+    },
+    async clearBlanks() {
+      this.chapter.blanks = [];
+      await this.persist();
+      Viewer.showPage(this.snap(state.currentPage));
+    },
+    togglePanel() {
+      if (elements.layoutPanel) {
+        elements.layoutPanel.remove();
+        elements.layoutPanel = null;
+        TapZones.hideOverlay();
+        return;
+      }
+      const panel = document.createElement('div');
+      panel.setAttribute('data-mv-ui', '1');
+      panel.style.cssText = `position:absolute;bottom:160px;left:80px;background:white;color:#333;padding:12px;border-radius:8px;z-index:2;font-size:12px;width:240px;box-shadow:0 4px 12px rgba(0,0,0,0.3);`;
+      elements.container.appendChild(panel);
+      elements.layoutPanel = panel;
+      this.renderPanel();
+    },
+    renderPanel() {
+      const panel = elements.layoutPanel;
+      if (!panel) return;
+      const title = document.createElement('div');
+      title.style.cssText = 'font-weight:bold;margin-bottom:8px;';
+      title.textContent = '表示の調整';
+
+      const directionRow = document.createElement('div');
+      directionRow.style.cssText = 'display:flex;align-items:center;gap:6px;margin-bottom:10px;';
+      const directionSelect = document.createElement('select');
+      directionSelect.style.cssText = 'flex:1;padding:2px;';
+      [['rtl', '右から左（日本の漫画）'], ['ltr', '左から右（アメコミ等）']].forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        directionSelect.appendChild(option);
+      });
+      directionSelect.value = Settings.isLeftToRight() ? 'ltr' : 'rtl';
+      directionSelect.addEventListener('change', () => Viewer.setReadingDirection(directionSelect.value));
+      directionRow.append(document.createTextNode('読む方向:'), directionSelect);
+
+      const siteLabel = document.createElement('label');
+      siteLabel.style.cssText = 'display:flex;align-items:center;gap:6px;margin-bottom:6px;';
+      const siteCheck = document.createElement('input');
+      siteCheck.type = 'checkbox';
+      siteCheck.checked = Settings.getCoverAlone();
+      siteCheck.addEventListener('change', async () => {
+        await Settings.setCoverAlone(siteCheck.checked);
+        Viewer.showPage(this.snap(state.currentPage));
+        this.renderPanel();
+      });
+      siteLabel.append(siteCheck, document.createTextNode('このサイトでは表紙を単独表示'));
+
+      const chapterRow = document.createElement('div');
+      chapterRow.style.cssText = 'display:flex;align-items:center;gap:6px;margin-bottom:10px;';
+      const select = document.createElement('select');
+      select.style.cssText = 'flex:1;padding:2px;';
+      [['', `サイト設定に従う（${Settings.getCoverAlone() ? '単独' : 'ペア'}）`], ['alone', '表紙を単独表示'], ['paired', '表紙もペアで表示']].forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      });
+      select.value = this.chapter.coverAlone === null ? '' : (this.chapter.coverAlone ? 'alone' : 'paired');
+      select.addEventListener('change', () => this.setCoverAlone(select.value ? select.value === 'alone' : null));
+      chapterRow.append(document.createTextNode('この話:'), select);
+
+      const blankTitle = document.createElement('div');
+      blankTitle.style.cssText = 'margin-bottom:4px;color:#555;';
+      blankTitle.textContent = `空白ページ（この話: ${this.chapter.blanks.length}件）`;
+      const blankRow = document.createElement('div');
+      blankRow.style.cssText = 'display:flex;gap:4px;';
+      const buttonStyle = { flex: '1', background: '#4FC3F7', fontSize: '11px', padding: '4px' };
+      blankRow.append(
+        Utils.createButton('現在位置に挿入', buttonStyle, () => this.insertBlank().then(() => this.renderPanel())),
+        Utils.createButton('表示中を削除', { ...buttonStyle, background: '#90A4AE' }, () => this.removeVisibleBlank().then(() => this.renderPanel())),
+        Utils.createButton('全削除', { ...buttonStyle, background: '#e57373' }, () => this.clearBlanks().then(() => this.renderPanel()))
+      );
+      const preloadRow = document.createElement('label');
+      preloadRow.style.cssText = 'display:flex;align-items:center;gap:6px;margin-top:10px;';
+      const preloadInput = document.createElement('input');
+      preloadInput.type = 'number';
+      preloadInput.min = '0';
+      preloadInput.max = String(CONFIG.preload.maxDistance);
+      preloadInput.value = String(Settings.getPreloadDistance());
+      preloadInput.style.cssText = 'width:50px;padding:2px;';
+      preloadInput.addEventListener('change', async () => {
+        const distance = Math.max(0, Math.min(CONFIG.preload.maxDistance, parseInt(preloadInput.value) || 0));
+        preloadInput.value = String(distance);
+        await Settings.setPreloadDistance(distance);
+        Preloader.preloadAround(state.currentPage);
+      });
+      preloadRow.append(document.createTextNode('先読み: 前後'), preloadInput, document.createTextNode('見開き'));
+
+      const tapRow = document.createElement('div');
+      tapRow.style.cssText = 'display:flex;align-items:center;gap:6px;margin-top:10px;';
+      const tapSelect = document.createElement('select');
+      tapSelect.style.cssText = 'flex:1;padding:2px;';
+      Object.entries(ViewerModes.TAP_ZONE_NAMES).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        tapSelect.appendChild(option);
+      });
+      tapSelect.value = Settings.getTapZones();
+      tapSelect.addEventListener('change', async () => {
+        await Settings.setTapZones(tapSelect.value);
+        TapZones.renderOverlay();
+      });
+      tapRow.append(document.createTextNode('タップ領域:'), tapSelect);
+      const overlayLabel = document.createElement('label');
+      overlayLabel.style.cssText = 'display:flex;align-items:center;gap:6px;margin-top:4px;';
+      const overlayCheck = document.createElement('input');
+      overlayCheck.type = 'checkbox';
+      overlayCheck.checked = TapZones.isOverlayVisible();
+      overlayCheck.addEventListener('change', () => overlayCheck.checked ? TapZones.showOverlay() : TapZones.hideOverlay());
+      overlayLabel.append(overlayCheck, document.createTextNode('タップ領域を画面に表示'));
+      const stitchRow = document.createElement('div');
+      stitchRow.style.cssText = 'display:flex;align-items:center;gap:6px;margin-top:10px;';
+      const stitchSelect = document.createElement('select');
+      stitchSelect.style.cssText = 'flex:1;padding:2px;';
+      Object.entries({ '': '結合しない', ...ViewerModes.STITCH_MODE_NAMES }).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        stitchSelect.appendChild(option);
+      });
+      stitchSelect.value = Settings.getStitchMode();
+      stitchSelect.addEventListener('change', async () => {
+        await Settings.setStitchMode(stitchSelect.value);
+        ImageManager.refresh();
+      });
+      stitchRow.append(document.createTextNode('分割画像:'), stitchSelect);
+      panel.replaceChildren(title, directionRow, siteLabel, chapterRow, blankTitle, blankRow, preloadRow, tapRow, overlayLabel, stitchRow);
+    }
+  };
+
+  // 前後の見開きを先に読み込んでデコードしておき、ページ送りで同じ画像要素を使い回す
+  const Preloader = {
+    cache: new Map(),
+    pinned: new Set(),
+    getCapacity() {
+      const distance = Settings.getPreloadDistance();
+      return Math.max(CONFIG.preload.cacheSize, (distance * 2 + 1) * 2 + CONFIG.layout.measureRange * 2 + 1);
+    },
+    // 読み込みを開始（済みなら最近使ったものとして並べ直し）してエントリを返す
+    load(src) {
+      let entry = this.cache.get(src);
+      if (entry) {
+        this.cache.delete(src);
+        this.cache.set(src, entry);
+        return entry;
+      }
+      const img = document.createElement('img');
+      img.decoding = 'async';
+      entry = { img, status: 'loading' };
+      img.src = src;
+      entry.promise = img.decode().catch(() => { }).then(() => {
+        entry.status = img.naturalWidth ? 'loaded' : 'error';
+        if (entry.status === 'loaded') Layout.record(src, img.naturalWidth, img.naturalHeight);
+        return entry;
+      });
+      this.cache.set(src, entry);
+      this.evict();
+      return entry;
+    },
+    retry(src) {
+      this.cache.delete(src);
+      return this.load(src);
+    },
+    // 表示中の画像は追い出さない
+    pin(srcs) {
+      this.pinned = new Set(srcs);
+    },
+    evict() {
+      const capacity = this.getCapacity();
+      for (const src of this.cache.keys()) {
+        if (this.cache.size <= capacity) break;
+        if (!this.pinned.has(src)) this.cache.delete(src);
+      }
+    },
+    preloadAround(slot) {
+      const distance = Settings.getPreloadDistance();
+      if (!distance) return;
+      const slots = Layout.getSlots(), targets = [];
+      let next = slot, prev = slot;
+      for (let i = 0; i < distance; i++) {
+        next += Layout.spreadAt(next, slots).length;
+        if (next < slots.length) targets.push(...Layout.spreadAt(next, slots));
+        prev = prev > 0 ? Layout.prevStart(prev) : -1;
+        if (prev >= 0) targets.push(...Layout.spreadAt(prev, slots));
+      }
+      targets.forEach(target => {
+        const image = state.images[slots[target]];
+        if (!image?.src) return;
+        this.load(image.src);
+        AutoCrop.prefetch(image.src);
+      });
+    },
+    ensureStyles() {
+      if (document.getElementById('mv-preload-styles')) return;
+      const style = document.createElement('style');
+      style.id = 'mv-preload-styles';
+      style.textContent = '@keyframes mv-spin { to { transform: rotate(360deg); } }';
+      document.head.appendChild(style);
+    }
+  };
+
+  // 縦スクロール（Webtoon）表示。全画像を幅に合わせて縦に並べ、画面中央の画像を現在のページとする
+  const ScrollMode = {
+    observer: null,
+    autoFrame: null,
+    autoPosition: 0,
+    lastFrame: 0,
+    render(index) {
+      const area = elements.imageArea;
+      if (area.dataset.mvScrollCount !== String(state.images.length)) this.build();
+      this.scrollToPage(index);
+    },
+    build() {
+      this.teardown();
+      const area = elements.imageArea;
+      area.innerHTML = '';
+      area.style.cssText = Viewer.getImageAreaStyle();
+      area.dataset.mvScrollCount = String(state.images.length);
+      this.observer = new IntersectionObserver(entries => {
+        const entry = entries.find(e => e.isIntersecting);
+        if (entry) this.setCurrent(parseInt(entry.target.dataset.index));
+      }, { root: area, rootMargin: '-50% 0px -50% 0px', threshold: 0 });
+
+      state.images.forEach((image, i) => {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'image-wrapper';
+        wrapper.dataset.index = String(i);
+        // 読み込み前は高さが分からないため仮の高さを確保し、スクロール位置のずれを抑える
+        const size = Layout.getSize(i);
+        wrapper.style.cssText = `pointer-events:none;margin:0 auto;max-width:${CONFIG.scroll.maxWidth}px;${size ? '' : 'min-height:60vh;'}`;
+        const img = document.createElement('img');
+        img.loading = 'lazy';
+        img.decoding = 'async';
+        img.style.cssText = `width:100%;display:block;${size ? `aspect-ratio:${size.width}/${size.height};` : ''}`;
+        img.addEventListener('load', () => { wrapper.style.minHeight = ''; }, { once: true });
+        img.src = image.src;
+        wrapper.appendChild(img);
+        area.appendChild(wrapper);
+        this.observer.observe(wrapper);
+      });
+    },
+    teardown() {
+      this.stopAuto();
+      if (this.observer) { this.observer.disconnect(); this.observer = null; }
+      const area = elements.imageArea;
+      if (!area || area.dataset.mvScrollCount === undefined) return;
+      delete area.dataset.mvScrollCount;
+      area.innerHTML = '';
+      area.scrollTop = 0;
+    },
+    setCurrent(index) {
+      if (isNaN(index) || index === state.currentPage) return;
+      state.currentPage = index;
+      if (index > 0) ReadingProgress.hidePrompt();
+      ReadingProgress.scheduleSave();
+      Viewer.updatePageInfo();
+    },
+    scrollToPage(index) {
+      const wrapper = elements.imageArea.children[index];
+      if (wrapper) wrapper.scrollIntoView({ block: 'start' });
+    },
+    scrollStep(direction, small = false) {
+      const area = elements.imageArea;
+      const ratio = small ? CONFIG.scroll.smallStepRatio : CONFIG.scroll.pageStepRatio;
+      area.scrollBy({ top: direction * area.clientHeight * ratio, behavior: 'smooth' });
+    },
+    isAtStart() { return elements.imageArea.scrollTop <= 1; },
+    isAtEnd() {
+      const area = elements.imageArea;
+      return area.scrollTop + area.clientHeight >= area.scrollHeight - 2;
+    },
+    toggleAuto() {
+      if (this.autoFrame) this.stopAuto();
+      else this.startAuto();
+    },
+    startAuto() {
+      const area = elements.imageArea;
+      if (!area || this.autoFrame) return;
+      this.autoPosition = area.scrollTop;
+      this.lastFrame = performance.now();
+      const step = (now) => {
+        // 1フレームの移動量が1px未満でも進むよう位置を小数で保持し、手動でスクロールされたら追従する
+        if (Math.abs(area.scrollTop - this.autoPosition) > 2) this.autoPosition = area.scrollTop;
+        this.autoPosition += Settings.getAutoScrollSpeed() * (now - this.lastFrame) / 1000;
+        this.lastFrame = now;
+        area.scrollTop = this.autoPosition;
+        if (this.isAtEnd()) {
+          this.stopAuto();
+          ChapterNavigator.showCard('next');
+          return;
+        }
+        this.autoFrame = requestAnimationFrame(step);
+      };
+      this.autoFrame = requestAnimationFrame(step);
+      this.updateAutoButton();
+    },
+    stopAuto() {
+      if (this.autoFrame) cancelAnimationFrame(this.autoFrame);
+      this.autoFrame = null;
+      this.updateAutoButton();
+    },
+    updateAutoButton() {
+      if (elements.autoScrollBtn) elements.autoScrollBtn.textContent = this.autoFrame ? '■停止' : '▶自動';
+    },
+    createControls() {
+      elements.autoScrollBtn = Utils.createButton('▶自動', {}, () => this.toggleAuto());
+      elements.autoScrollBtn.title = '自動スクロール';
+      this.updateAutoButton();
+      const speed = document.createElement('input');
+      speed.type = 'range';
+      speed.min = String(CONFIG.scroll.minSpeed);
+      speed.max = String(CONFIG.scroll.maxSpeed);
+      speed.value = String(Settings.getAutoScrollSpeed());
+      speed.title = `速度: ${speed.value}px/秒`;
+      speed.setAttribute('data-mv-ui', '1');
+      speed.style.cssText = 'width:80px;';
+      speed.addEventListener('input', () => {
+        state.settings.autoScrollSpeed = parseInt(speed.value);
+        speed.title = `速度: ${speed.value}px/秒`;
+      });
+      speed.addEventListener('change', () => Settings.setAutoScrollSpeed(parseInt(speed.value)).catch(() => { }));
+      return [elements.autoScrollBtn, speed];
+    }
+  };
+
+  // ページ表示の拡大・移動。imageArea に transform を掛け、はみ出した分をドラッグやホイールで動かす
+  const Zoom = {
+    FIT_MODES: { page: 'ページ全体', width: '幅に合わせる', height: '高さに合わせる', original: '原寸' },
+    scale: 1, x: 0, y: 0,
+    panned: false,
+    pointers: new Map(),
+    gesture: null,
+    suppressClick: false,
+    loupeEnabled: false,
+    isActive() { return !!elements.imageArea && !Settings.getScrollMode(); },
+    getBounds() {
+      const area = elements.imageArea, view = elements.container;
+      return {
+        maxX: Math.max(0, (area.offsetWidth * this.scale - view.clientWidth) / 2),
+        maxY: Math.max(0, (area.offsetHeight * this.scale - view.clientHeight) / 2)
+      };
+    },
+    isPannable() {
+      if (!this.isActive()) return false;
+      const { maxX, maxY } = this.getBounds();
+      return maxX > 0 || maxY > 0;
+    },
+    apply() {
+      if (!this.isActive()) return;
+      const { maxX, maxY } = this.getBounds();
+      this.x = Math.max(-maxX, Math.min(maxX, this.x));
+      this.y = Math.max(-maxY, Math.min(maxY, this.y));
+      elements.imageArea.style.transformOrigin = 'center center';
+      elements.imageArea.style.transform = `translate(${this.x}px, ${this.y}px) scale(${this.scale})`;
+      this.updatePanel();
+    },
+    // ページの読み始め（上端と、読む方向の始まり側）に合わせる
+    alignStart() {
+      const { maxX, maxY } = this.getBounds();
+      this.x = Settings.isLeftToRight() ? maxX : -maxX;
+      this.y = maxY;
+      this.apply();
+    },
+    onPageChange() {
+      if (!this.isActive()) return;
+      if (!Settings.getZoomPersist()) this.scale = 1;
+      this.panned = false;
+      this.alignStart();
+    },
+    // 画像の読み込みでサイズが変わったとき、まだ動かしていなければ読み始めに合わせ直す
+    onContentResize() {
+      if (!this.isActive()) return;
+      if (this.panned) this.apply();
+      else this.alignStart();
+    },
+    // 画面上の (clientX, clientY) の位置を固定したまま拡大率を変える
+    zoomAt(scale, clientX, clientY) {
+      if (!this.isActive()) return;
+      scale = Math.max(CONFIG.zoom.minScale, Math.min(CONFIG.zoom.maxScale, scale));
+      const rect = elements.container.getBoundingClientRect();
+      const cx = rect.left + rect.width / 2, cy = rect.top + rect.height / 2;
+      const dx = (clientX - cx - this.x) / this.scale, dy = (clientY - cy - this.y) / this.scale;
+      this.scale = scale;
+      this.x = clientX - cx - dx * scale;
+      this.y = clientY - cy - dy * scale;
+      this.panned = true;
+      this.apply();
+    },
+    zoomBy(factor) {
+      const rect = elements.container.getBoundingClientRect();
+      this.zoomAt(this.scale * factor, rect.left + rect.width / 2, rect.top + rect.height / 2);
+    },
+    reset() {
+      this.scale = 1;
+      this.panned = false;
+      this.alignStart();
+    },
+    toggleAt(clientX, clientY) {
+      if (this.scale > 1.01) this.reset();
+      else this.zoomAt(CONFIG.zoom.doubleClickScale, clientX, clientY);
+    },
+    // 動かせる余地がなければ false を返す（呼び出し側でページ送りに切り替える）
+    panBy(dx, dy) {
+      const beforeX = this.x, beforeY = this.y;
+      this.x += dx;
+      this.y += dy;
+      this.panned = true;
+      this.apply();
+      return Math.abs(this.x - beforeX) > 0.5 || Math.abs(this.y - beforeY) > 0.5;
+    },
+    async setFitMode(mode) {
+      await Settings.setFitMode(mode);
+      if (elements.imageArea && !Settings.getScrollMode()) elements.imageArea.style.cssText = Viewer.getImageAreaStyle();
+      Viewer.showPage(state.currentPage);
+    },
+    // クリックの直前にドラッグしていた場合はページ送りをしない
+    consumeClick() {
+      const suppressed = this.suppressClick;
+      this.suppressClick = false;
+      return suppressed;
+    },
+    setupEventListeners(container) {
+      container.addEventListener('pointerdown', e => {
+        this.suppressClick = false;
+        if (!this.isActive() || e.target.closest('[data-mv-ui="1"]') || (e.pointerType === 'mouse' && e.button !== 0)) return;
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (this.pointers.size === 1) {
+          this.gesture = { type: 'pan', startX: e.clientX, startY: e.clientY, x: this.x, y: this.y, moved: false };
+        } else if (this.pointers.size === 2) {
+          const [a, b] = Array.from(this.pointers.values());
+          this.gesture = { type: 'pinch', distance: Math.hypot(a.x - b.x, a.y - b.y), scale: this.scale };
+        }
+      });
+      container.addEventListener('pointermove', e => {
+        if (this.loupeEnabled) this.updateLoupe(e.clientX, e.clientY);
+        if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (this.gesture.type === 'pinch' && this.pointers.size >= 2) {
+          const [a, b] = Array.from(this.pointers.values());
+          const distance = Math.hypot(a.x - b.x, a.y - b.y);
+          if (this.gesture.distance > 0) this.zoomAt(this.gesture.scale * distance / this.gesture.distance, (a.x + b.x) / 2, (a.y + b.y) / 2);
+          this.suppressClick = true;
+        } else if (this.gesture.type === 'pan' && this.isPannable()) {
+          const dx = e.clientX - this.gesture.startX, dy = e.clientY - this.gesture.startY;
+          if (!this.gesture.moved && Math.hypot(dx, dy) < CONFIG.zoom.dragThreshold) return;
+          this.gesture.moved = true;
+          this.suppressClick = true;
+          this.x = this.gesture.x + dx;
+          this.y = this.gesture.y + dy;
+          this.panned = true;
+          this.apply();
+        }
+      });
+      const endPointer = e => {
+        this.pointers.delete(e.pointerId);
+        if (!this.pointers.size) this.gesture = null;
+      };
+      container.addEventListener('pointerup', endPointer);
+      container.addEventListener('pointercancel', endPointer);
+      container.addEventListener('pointerleave', () => this.hideLoupe());
+    },
+    toggleLoupe() {
+      this.loupeEnabled = !this.loupeEnabled;
+      if (!this.loupeEnabled) this.hideLoupe();
+      this.updatePanel();
+    },
+    updateLoupe(clientX, clientY) {
+      const img = elements.imageArea && Array.from(elements.imageArea.querySelectorAll('img')).find(image => {
+        const r = image.getBoundingClientRect();
+        return clientX >= r.left && clientX <= r.right && clientY >= r.top && clientY <= r.bottom;
+      });
+      if (!img) { this.hideLoupe(); return; }
+      if (!elements.loupe) {
+        elements.loupe = document.createElement('div');
+        elements.loupe.style.cssText = `position:fixed;width:${CONFIG.zoom.loupeSize}px;height:${CONFIG.zoom.loupeSize}px;border-radius:50%;border:2px solid rgba(255,255,255,0.8);box-shadow:0 4px 16px rgba(0,0,0,0.5);pointer-events:none;z-index:5;background-repeat:no-repeat;background-color:#fff;`;
+        elements.loupe.style.filter = ImageFilters.getCss();
+        elements.container.appendChild(elements.loupe);
+      }
+      const rect = img.getBoundingClientRect(), k = CONFIG.zoom.loupeScale, radius = CONFIG.zoom.loupeSize / 2;
+      Object.assign(elements.loupe.style, {
+        display: 'block',
+        left: `${clientX - radius}px`,
+        top: `${clientY - radius}px`,
+        backgroundImage: `url("${img.src}")`,
+        backgroundSize: `${rect.width * k}px ${rect.height * k}px`,
+        backgroundPosition: `${radius - (clientX - rect.left) * k}px ${radius - (clientY - rect.top) * k}px`
+      });
+    },
+    hideLoupe() {
+      if (elements.loupe) elements.loupe.style.display = 'none';
+    },
+    togglePanel() {
+      if (elements.zoomPanel) {
+        elements.zoomPanel.remove();
+        elements.zoomPanel = null;
+        return;
+      }
+      const panel = document.createElement('div');
+      panel.setAttribute('data-mv-ui', '1');
+      panel.style.cssText = `position:absolute;top:190px;right:80px;background:white;color:#333;padding:12px;border-radius:8px;z-index:2;font-size:12px;width:230px;box-shadow:0 4px 12px rgba(0,0,0,0.3);display:flex;flex-direction:column;gap:8px;`;
+
+      const fitRow = document.createElement('div');
+      fitRow.style.cssText = 'display:flex;align-items:center;gap:6px;';
+      const fitSelect = document.createElement('select');
+      fitSelect.style.cssText = 'flex:1;padding:2px;';
+      Object.entries(this.FIT_MODES).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        fitSelect.appendChild(option);
+      });
+      fitSelect.value = Settings.getFitMode();
+      fitSelect.addEventListener('change', () => this.setFitMode(fitSelect.value));
+      fitRow.append(document.createTextNode('表示サイズ:'), fitSelect);
+
+      const zoomRow = document.createElement('div');
+      zoomRow.style.cssText = 'display:flex;align-items:center;gap:4px;';
+      const buttonStyle = { background: '#eee', color: '#333', padding: '3px 8px', fontSize: '12px' };
+      const label = document.createElement('span');
+      label.style.cssText = 'flex:1;text-align:center;';
+      label.dataset.zoomLabel = '1';
+      zoomRow.append(
+        Utils.createButton('−', buttonStyle, () => this.zoomBy(1 / CONFIG.zoom.keyStep)),
+        label,
+        Utils.createButton('＋', buttonStyle, () => this.zoomBy(CONFIG.zoom.keyStep)),
+        Utils.createButton('リセット', buttonStyle, () => this.reset())
+      );
+
+      const loupeBtn = Utils.createButton('', { ...buttonStyle, width: '100%' }, () => this.toggleLoupe());
+      loupeBtn.dataset.loupeButton = '1';
+
+      const persistLabel = document.createElement('label');
+      persistLabel.style.cssText = 'display:flex;align-items:center;gap:6px;';
+      const persistCheck = document.createElement('input');
+      persistCheck.type = 'checkbox';
+      persistCheck.checked = Settings.getZoomPersist();
+      persistCheck.addEventListener('change', () => Settings.setZoomPersist(persistCheck.checked).catch(() => { }));
+      persistLabel.append(persistCheck, document.createTextNode('ページをめくっても拡大率を保持'));
+
+      const hint = document.createElement('div');
+      hint.style.cssText = 'color:#777;font-size:11px;';
+      hint.textContent = 'Ctrl+ホイール・ピンチ・ダブルクリックで拡大、ドラッグで移動';
+
+      panel.append(fitRow, zoomRow, loupeBtn, persistLabel, hint);
+      elements.container.appendChild(panel);
+      elements.zoomPanel = panel;
+      this.updatePanel();
+    },
+    updatePanel() {
+      const panel = elements.zoomPanel;
+      if (!panel) return;
+      panel.querySelector('[data-zoom-label]').textContent = `${Math.round(this.scale * 100)}%`;
+      panel.querySelector('[data-loupe-button]').textContent = this.loupeEnabled ? 'ルーペ: ON (l)' : 'ルーペ: OFF (l)';
+    }
+  };
+
+  // クリック・タップした位置に応じた操作。領域は右から左に読む場合の配置（左が次へ）で定義し、左から右では左右を反転する
+  const TapZones = {
+    LAYOUTS: {
+      halves: [{ x: 0, y: 0, w: 0.5, h: 1, action: 'next' }, { x: 0.5, y: 0, w: 0.5, h: 1, action: 'prev' }],
+      columns: [{ x: 0, y: 0, w: 1 / 3, h: 1, action: 'next' }, { x: 1 / 3, y: 0, w: 1 / 3, h: 1, action: 'menu' }, { x: 2 / 3, y: 0, w: 1 / 3, h: 1, action: 'prev' }],
+      lshape: [{ x: 0, y: 0, w: 1, h: 0.2, action: 'menu' }, { x: 0.75, y: 0.2, w: 0.25, h: 0.8, action: 'prev' }, { x: 0, y: 0.2, w: 0.75, h: 0.8, action: 'next' }],
+      edges: [{ x: 0, y: 0, w: 0.2, h: 1, action: 'next' }, { x: 0.8, y: 0, w: 0.2, h: 1, action: 'prev' }]
+    },
+    ACTION_STYLES: {
+      next: { label: '次へ', color: 'rgba(79,195,247,0.35)' },
+      prev: { label: '戻る', color: 'rgba(229,115,115,0.35)' },
+      menu: { label: 'メニュー表示', color: 'rgba(255,213,79,0.35)' }
+    },
+    overlay: null,
+    getZones() {
+      const zones = this.LAYOUTS[Settings.getTapZones()] || this.LAYOUTS.halves;
+      if (!Settings.isLeftToRight()) return zones;
+      return zones.map(zone => ({ ...zone, x: 1 - zone.x - zone.w }));
+    },
+    // 'next' | 'prev' | 'menu' | null（どの領域にも入らない）
+    actionAt(clientX, clientY) {
+      const rect = elements.container.getBoundingClientRect();
+      const fx = (clientX - rect.left) / rect.width, fy = (clientY - rect.top) / rect.height;
+      const zone = this.getZones().find(z => fx >= z.x && fx < z.x + z.w && fy >= z.y && fy < z.y + z.h);
+      return zone ? zone.action : null;
+    },
+    isOverlayVisible() { return !!this.overlay; },
+    showOverlay() {
+      if (!this.overlay) {
+        this.overlay = document.createElement('div');
+        this.overlay.style.cssText = 'position:absolute;inset:0;pointer-events:none;z-index:1;';
+        elements.container.appendChild(this.overlay);
+      }
+      this.renderOverlay();
+    },
+    hideOverlay() {
+      if (this.overlay) this.overlay.remove();
+      this.overlay = null;
+    },
+    renderOverlay() {
+      if (!this.overlay) return;
+      this.overlay.replaceChildren(...this.getZones().map(zone => {
+        const style = this.ACTION_STYLES[zone.action];
+        const box = document.createElement('div');
+        box.style.cssText = `position:absolute;left:${zone.x * 100}%;top:${zone.y * 100}%;width:${zone.w * 100}%;height:${zone.h * 100}%;background:${style.color};border:1px dashed rgba(255,255,255,0.8);box-sizing:border-box;display:flex;align-items:center;justify-content:center;color:white;font-size:18px;font-weight:bold;text-shadow:0 1px 3px rgba(0,0,0,0.8);`;
+        box.textContent = style.label;
+        return box;
+      }));
+    }
+  };
+
+  // タッチ操作。ピンチとドラッグは Zoom が pointer イベントで扱うため、ここでは1本指の操作だけを見る。
+  // 縦スクロール表示ではブラウザのスクロール中に pointercancel が来るので touch イベントを使う
+  const TouchGestures = {
+    touch: null,
+    suppressUntil: 0,
+    setupEventListeners(container) {
+      container.addEventListener('touchstart', e => {
+        clearTimeout(this.touch?.longPressTimer);
+        if (e.touches.length !== 1 || e.target.closest('[data-mv-ui="1"]')) {
+          this.cancel();
+          return;
+        }
+        const t = e.touches[0];
+        this.touch = {
+          startX: t.clientX, startY: t.clientY, startTime: performance.now(),
+          dx: 0, dy: 0, moved: false, longPressed: false,
+          // 縦スクロール表示では先頭にいるときだけ下に引いて閉じる
+          canPull: Settings.getScrollMode() ? ScrollMode.isAtStart() : !Zoom.isPannable(),
+          longPressTimer: setTimeout(() => this.onLongPress(), CONFIG.touch.longPressMs)
+        };
+      }, { passive: true });
+      container.addEventListener('touchmove', e => {
+        if (!this.touch) return;
+        const t = e.touches[0];
+        this.touch.dx = t.clientX - this.touch.startX;
+        this.touch.dy = t.clientY - this.touch.startY;
+        if (!this.touch.moved && Math.hypot(this.touch.dx, this.touch.dy) > CONFIG.touch.moveTolerance) {
+          this.touch.moved = true;
+          clearTimeout(this.touch.longPressTimer);
+          // 指を動かし始めたら、ダブルタップ待ちのページ送りも取り消す
+          clearTimeout(timers.click);
+        }
+        this.updatePullHint(this.isPull() ? this.touch.dy : 0);
+      }, { passive: true });
+      container.addEventListener('touchend', e => {
+        if (!this.touch || e.touches.length) return;
+        const touch = this.touch;
+        this.cancel();
+        if (!touch.moved && !touch.longPressed) return;
+        this.guardClick();
+        if (touch.longPressed) return;
+        if (this.isPull(touch) && touch.dy >= CONFIG.touch.pullDistance) {
+          Viewer.close();
+          return;
+        }
+        if (this.isSwipe(touch)) {
+          if ((touch.dx > 0) !== Settings.isLeftToRight()) Viewer.nextPage();
+          else Viewer.prevPage();
+        }
+      });
+      container.addEventListener('touchcancel', () => this.cancel());
+      // 長押しで出るコンテキストメニューを抑える
+      container.addEventListener('contextmenu', e => {
+        if (this.touch?.longPressed || performance.now() < this.suppressUntil) e.preventDefault();
+      });
+    },
+    isSwipe(touch = this.touch) {
+      // 拡大中の横方向の動きは Zoom の表示位置の移動に使う
+      if (Settings.getScrollMode() || Zoom.isPannable()) return false;
+      return Math.abs(touch.dx) >= CONFIG.touch.swipeDistance
+        && Math.abs(touch.dx) > Math.abs(touch.dy) * 1.5
+        && performance.now() - touch.startTime <= CONFIG.touch.swipeMaxMs;
+    },
+    isPull(touch = this.touch) {
+      return touch.canPull && touch.dy > 0 && touch.dy > Math.abs(touch.dx) * 1.5;
+    },
+    onLongPress() {
+      if (!this.touch || this.touch.moved) return;
+      this.touch.longPressed = true;
+      clearTimeout(timers.click);
+      Viewer.setUIVisible(true);
+    },
+    // スワイプや長押しの直後に届くクリックでページ送りしない
+    guardClick() {
+      this.suppressUntil = performance.now() + CONFIG.touch.clickGuardMs;
+    },
+    consumeClick() {
+      return performance.now() < this.suppressUntil;
+    },
+    cancel() {
+      if (this.touch) clearTimeout(this.touch.longPressTimer);
+      this.touch = null;
+      this.updatePullHint(0);
+    },
+    updatePullHint(distance) {
+      let hint = elements.container?.querySelector('#mv-pull-hint');
+      if (!distance) {
+        if (hint) hint.remove();
+        return;
+      }
+      if (!hint) {
+        hint = document.createElement('div');
+        hint.id = 'mv-pull-hint';
+        hint.setAttribute('data-mv-ui', '1');
+        hint.style.cssText = 'position:absolute;top:16px;left:50%;transform:translateX(-50%);background:rgba(0,0,0,0.7);color:white;padding:6px 14px;border-radius:16px;font-size:13px;z-index:6;pointer-events:none;';
+        elements.container.appendChild(hint);
+      }
+      const ready = distance >= CONFIG.touch.pullDistance;
+      hint.textContent = ready ? '離すと閉じます' : '↓ 引いて閉じる';
+      hint.style.opacity = Math.min(1, distance / CONFIG.touch.pullDistance).toString();
+    }
+  };
+
+  // 明るさ・コントラスト・ガンマなどの画像補正。CSS の filter で表示中の全ページに同じ補正を掛ける。
+  // ガンマとアンシャープマスクは CSS の関数にないため、コンテナ内に置いた SVG フィルタを参照する
+  const ImageFilters = {
+    DEFAULTS: { brightness: 100, contrast: 100, gamma: 1, grayscale: 0, sepia: 0, invert: false, sharpen: 0 },
+    SLIDERS: [
+      { key: 'brightness', label: '明るさ', min: 50, max: 150, step: 1, unit: '%' },
+      { key: 'contrast', label: 'コントラスト', min: 50, max: 200, step: 1, unit: '%' },
+      { key: 'gamma', label: 'ガンマ', min: 0.5, max: 2, step: 0.05, unit: '' },
+      { key: 'grayscale', label: 'グレースケール', min: 0, max: 100, step: 1, unit: '%' },
+      { key: 'sepia', label: 'セピア', min: 0, max: 100, step: 1, unit: '%' },
+      { key: 'sharpen', label: 'シャープ', min: 0, max: 2, step: 0.1, unit: '' }
+    ],
+    SVG_FILTER_ID: 'mv-image-filter',
+    comparing: false,
+    get() { return { ...this.DEFAULTS, ...(Settings.getImageFilters() || {}) }; },
+    isDefault(filters) {
+      return Object.keys(this.DEFAULTS).every(key => filters[key] === this.DEFAULTS[key]);
+    },
+    // 元画像との比較中や補正なしのときは空文字
+    getCss() {
+      const f = this.get();
+      if (this.comparing || this.isDefault(f)) return '';
+      const parts = [];
+      if (f.gamma !== 1 || f.sharpen > 0) {
+        this.updateSvgFilter(f);
+        parts.push(`url(#${this.SVG_FILTER_ID})`);
+      }
+      if (f.brightness !== 100) parts.push(`brightness(${f.brightness}%)`);
+      if (f.contrast !== 100) parts.push(`contrast(${f.contrast}%)`);
+      if (f.grayscale) parts.push(`grayscale(${f.grayscale}%)`);
+      if (f.sepia) parts.push(`sepia(${f.sepia}%)`);
+      if (f.invert) parts.push('invert(1) hue-rotate(180deg)');
+      return parts.join(' ');
+    },
+    updateSvgFilter(f) {
+      const ns = 'http://www.w3.org/2000/svg';
+      let svg = elements.container.querySelector('svg[data-mv-filters]');
+      if (!svg) {
+        svg = document.createElementNS(ns, 'svg');
+        svg.setAttribute('data-mv-filters', '1');
+        svg.setAttribute('width', '0');
+        svg.setAttribute('height', '0');
+        svg.style.cssText = 'position:absolute;width:0;height:0;';
+        elements.container.appendChild(svg);
+      }
+      const create = (tag, attrs) => {
+        const el = document.createElementNS(ns, tag);
+        Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, String(value)));
+        return el;
+      };
+      const filter = create('filter', { id: this.SVG_FILTER_ID, 'color-interpolation-filters': 'sRGB' });
+      const transfer = create('feComponentTransfer', { result: 'gamma' });
+      ['feFuncR', 'feFuncG', 'feFuncB'].forEach(tag => transfer.appendChild(create(tag, { type: 'gamma', amplitude: 1, exponent: 1 / f.gamma, offset: 0 })));
+      filter.appendChild(transfer);
+      // アンシャープマスク: 元画像 + 量 ×（元画像 − ぼかし）
+      if (f.sharpen > 0) {
+        filter.appendChild(create('feGaussianBlur', { in: 'gamma', stdDeviation: CONFIG.filters.sharpenRadius, result: 'blur' }));
+        filter.appendChild(create('feComposite', { in: 'gamma', in2: 'blur', operator: 'arithmetic', k1: 0, k2: 1 + f.sharpen, k3: -f.sharpen, k4: 0 }));
+      }
+      svg.replaceChildren(filter);
+    },
+    // 表示中のページ（縦スクロール表示では全ページ）とルーペに反映する。
+    // 画像が後から読み込まれても掛かるよう、画像ではなくページの枠に設定する
+    apply() {
+      if (!elements.imageArea) return;
+      const css = this.getCss();
+      elements.imageArea.querySelectorAll('.image-wrapper').forEach(wrapper => { wrapper.style.filter = css; });
+      if (elements.loupe) elements.loupe.style.filter = css;
+    },
+    // スライダーのドラッグ中は保存せずに表示だけ更新する
+    preview(changes) {
+      state.settings.imageFilters = { ...this.get(), ...changes };
+      this.comparing = false;
+      this.apply();
+    },
+    toggleCompare() {
+      this.comparing = !this.comparing;
+      this.apply();
+      this.renderPanel();
+      Utils.showMessage(this.comparing ? '元画像を表示中' : '画像補正を適用中', '#4FC3F7', 1000);
+    },
+    async update(changes) {
+      const filters = { ...this.get(), ...changes };
+      this.comparing = false;
+      await Settings.setImageFilters(this.isDefault(filters) ? null : filters);
+      this.apply();
+    },
+    togglePanel() {
+      if (elements.filterPanel) {
+        elements.filterPanel.remove();
+        elements.filterPanel = null;
+        return;
+      }
+      const panel = document.createElement('div');
+      panel.setAttribute('data-mv-ui', '1');
+      panel.style.cssText = `position:absolute;top:230px;right:80px;background:white;color:#333;padding:12px;border-radius:8px;z-index:2;font-size:12px;width:250px;box-shadow:0 4px 12px rgba(0,0,0,0.3);display:flex;flex-direction:column;gap:6px;`;
+      elements.container.appendChild(panel);
+      elements.filterPanel = panel;
+      this.renderPanel();
+    },
+    renderPanel() {
+      const panel = elements.filterPanel;
+      if (!panel) return;
+      const f = this.get();
+      const title = document.createElement('div');
+      title.style.cssText = 'font-weight:bold;';
+      title.textContent = '画像補正（このサイト）';
+
+      const rows = this.SLIDERS.map(def => {
+        const row = document.createElement('label');
+        row.style.cssText = 'display:flex;align-items:center;gap:6px;';
+        const name = document.createElement('span');
+        name.style.cssText = 'width:84px;';
+        name.textContent = def.label;
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = String(def.min);
+        slider.max = String(def.max);
+        slider.step = String(def.step);
+        slider.value = String(f[def.key]);
+        slider.style.cssText = 'flex:1;min-width:0;';
+        const value = document.createElement('span');
+        value.style.cssText = 'width:38px;text-align:right;';
+        const format = v => def.key === 'sharpen' && !v ? 'なし' : `${v}${def.unit}`;
+        value.textContent = format(f[def.key]);
+        // ドラッグ中は表示だけ更新し、離したときに保存する
+        slider.addEventListener('input', () => {
+          value.textContent = format(parseFloat(slider.value));
+          this.preview({ [def.key]: parseFloat(slider.value) });
+        });
+        slider.addEventListener('change', () => this.update({ [def.key]: parseFloat(slider.value) }));
+        row.append(name, slider, value);
+        return row;
+      });
+
+      const invertLabel = document.createElement('label');
+      invertLabel.style.cssText = 'display:flex;align-items:center;gap:6px;';
+      const invertCheck = document.createElement('input');
+      invertCheck.type = 'checkbox';
+      invertCheck.checked = f.invert;
+      invertCheck.addEventListener('change', () => this.update({ invert: invertCheck.checked }));
+      invertLabel.append(invertCheck, document.createTextNode('白黒反転（夜間向け）'));
+
+      const buttonRow = document.createElement('div');
+      buttonRow.style.cssText = 'display:flex;gap:4px;';
+      const buttonStyle = { flex: '1', background: '#eee', color: '#333', padding: '4px', fontSize: '12px' };
+      buttonRow.append(
+        Utils.createButton(this.comparing ? '補正を表示' : '元画像と比較', { ...buttonStyle, background: this.comparing ? '#4FC3F7' : '#eee' }, () => this.toggleCompare()),
+        Utils.createButton('リセット', buttonStyle, () => this.update({ ...this.DEFAULTS }).then(() => this.renderPanel()))
+      );
+      panel.replaceChildren(title, ...rows, invertLabel, buttonRow, ...AutoCrop.createControls());
+    }
+  };
+
+  // スキャン画像の白・黒の余白を Canvas で検出して切り詰める。結果は画像URLごとにキャッシュし、
+  // 見開きの2ページは上下・外側・のど側の切り詰め量をそろえる
+  const AutoCrop = {
+    cache: new Map(),
+    pending: new Map(),
+    warned: false,
+    isEnabled() { return Settings.getAutoCrop() && !Settings.getScrollMode(); },
+    // { top, right, bottom, left }（画像の幅・高さに対する割合）。検出できない場合は null
+    analyze(src) {
+      const tolerance = Settings.getCropTolerance();
+      const cached = this.cache.get(src);
+      if (cached && cached.tolerance === tolerance) return Promise.resolve(cached.box);
+      const key = `${src}\n${tolerance}`;
+      if (!this.pending.has(key)) {
+        const promise = this.readPixels(src).then(pixels => {
+          const box = pixels ? this.detect(pixels, tolerance) : null;
+          this.cache.set(src, { tolerance, box });
+          return box;
+        }).finally(() => this.pending.delete(key));
+        this.pending.set(key, promise);
+      }
+      return this.pending.get(key);
+    },
+    async readPixels(src) {
+      const entry = Preloader.load(src);
+      await entry.promise;
+      if (entry.status !== 'loaded') return null;
+      try {
+        return this.drawScaled(entry.img);
+      } catch (e) {
+        // CORSでCanvasが汚染された場合はService Workerで縮小画像を作って解析する
+        try {
+          const response = await chrome.runtime.sendMessage({ action: 'createThumbnail', url: src, height: CONFIG.crop.analyzeSize });
+          if (!response?.success || !response.dataUrl) throw new Error('thumbnail failed');
+          const img = new Image();
+          img.src = response.dataUrl;
+          await img.decode();
+          return this.drawScaled(img);
+        } catch (err) {
+          if (!this.warned) {
+            this.warned = true;
+            Utils.showMessage('余白を検出できない画像があります（元の表示のままにします）', '#FF9800', 3000);
+          }
+          return null;
+        }
+      }
+    },
+    drawScaled(img) {
+      const scale = Math.min(1, CONFIG.crop.analyzeSize / Math.max(img.naturalWidth, img.naturalHeight));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+      canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    },
+    // 四隅のうち最も多くの隅と一致する色を余白の色とみなし、外側から余白の行・列を数える
+    detect({ data, width, height }, tolerance) {
+      const pixel = (x, y) => { const i = (y * width + x) * 4; return [data[i], data[i + 1], data[i + 2]]; };
+      const near = (a, b) => Math.abs(a[0] - b[0]) <= tolerance && Math.abs(a[1] - b[1]) <= tolerance && Math.abs(a[2] - b[2]) <= tolerance;
+      const corners = [pixel(0, 0), pixel(width - 1, 0), pixel(0, height - 1), pixel(width - 1, height - 1)];
+      const background = corners
+        .map(color => ({ color, votes: corners.filter(other => near(color, other)).length }))
+        .sort((a, b) => b.votes - a.votes)[0];
+      if (background.votes < 2) return null;
+      const isMargin = (length, at) => {
+        let foreground = 0;
+        for (let i = 0; i < length; i++) {
+          if (!near(at(i), background.color) && ++foreground > Math.max(1, length * CONFIG.crop.noiseRatio)) return false;
+        }
+        return true;
+      };
+      const maxRows = Math.floor(height * CONFIG.crop.maxRatio), maxCols = Math.floor(width * CONFIG.crop.maxRatio);
+      let top = 0, bottom = 0, left = 0, right = 0;
+      while (top < maxRows && isMargin(width, x => pixel(x, top))) top++;
+      while (bottom < maxRows && isMargin(width, x => pixel(x, height - 1 - bottom))) bottom++;
+      while (left < maxCols && isMargin(height, y => pixel(left, y))) left++;
+      while (right < maxCols && isMargin(height, y => pixel(width - 1 - right, y))) right++;
+      // 内容の端を削らないよう少し余白を残す
+      const ratio = (count, size) => Math.max(0, count / size - CONFIG.crop.margin);
+      return { top: ratio(top, height), right: ratio(right, width), bottom: ratio(bottom, height), left: ratio(left, width) };
+    },
+    // 表示中のページに切り詰めを反映する。未解析のページがあれば解析後にもう一度呼ばれる
+    apply() {
+      if (!elements.imageArea || Settings.getScrollMode()) return;
+      const imgs = Array.from(elements.imageArea.querySelectorAll('.image-wrapper img'));
+      if (!this.isEnabled()) {
+        imgs.forEach(img => { img.style.objectViewBox = ''; });
+        return;
+      }
+      const page = state.currentPage, tolerance = Settings.getCropTolerance();
+      const boxes = imgs.map(img => {
+        const cached = this.cache.get(img.src);
+        return cached && cached.tolerance === tolerance ? cached : null;
+      });
+      if (boxes.some(box => !box)) {
+        Promise.all(imgs.map(img => this.analyze(img.src))).then(() => {
+          if (state.currentPage === page) this.apply();
+        });
+        return;
+      }
+      const crops = this.alignSpread(boxes.map(cached => cached.box));
+      imgs.forEach((img, i) => {
+        const crop = crops[i];
+        const percent = value => `${(value * 100).toFixed(2)}%`;
+        img.style.objectViewBox = crop ? `inset(${percent(crop.top)} ${percent(crop.right)} ${percent(crop.bottom)} ${percent(crop.left)})` : '';
+      });
+      Zoom.onContentResize();
+    },
+    // 見開きでは小さい方の切り詰め量に合わせ、2ページの高さと位置をそろえる。
+    // imgs は読む順に並んでおり、右から左に読む場合は1枚目が右側に表示される
+    alignSpread(boxes) {
+      if (boxes.length !== 2) return boxes;
+      if (boxes.some(box => !box)) return [null, null];
+      const ltr = Settings.isLeftToRight();
+      const [first, second] = boxes;
+      const [leftPage, rightPage] = ltr ? [first, second] : [second, first];
+      const top = Math.min(first.top, second.top), bottom = Math.min(first.bottom, second.bottom);
+      const outer = Math.min(leftPage.left, rightPage.right), inner = Math.min(leftPage.right, rightPage.left);
+      const left = { top, bottom, left: outer, right: inner };
+      const right = { top, bottom, left: inner, right: outer };
+      return ltr ? [left, right] : [right, left];
+    },
+    // 先読みした画像も前もって解析しておく
+    prefetch(src) {
+      if (this.isEnabled()) this.analyze(src);
+    },
+    createControls() {
+      const title = document.createElement('div');
+      title.style.cssText = 'font-weight:bold;margin-top:6px;';
+      title.textContent = '余白の自動カット';
+      const enableLabel = document.createElement('label');
+      enableLabel.style.cssText = 'display:flex;align-items:center;gap:6px;';
+      const enableCheck = document.createElement('input');
+      enableCheck.type = 'checkbox';
+      enableCheck.checked = Settings.getAutoCrop();
+      enableCheck.addEventListener('change', async () => {
+        await Settings.setAutoCrop(enableCheck.checked);
+        this.apply();
+      });
+      enableLabel.append(enableCheck, document.createTextNode('このサイトでは余白を切り詰める'));
+
+      const toleranceRow = document.createElement('label');
+      toleranceRow.style.cssText = 'display:flex;align-items:center;gap:6px;';
+      const name = document.createElement('span');
+      name.style.cssText = 'width:84px;';
+      name.textContent = '許容する色差';
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.min = '0';
+      slider.max = String(CONFIG.crop.maxTolerance);
+      slider.value = String(Settings.getCropTolerance());
+      slider.style.cssText = 'flex:1;min-width:0;';
+      const value = document.createElement('span');
+      value.style.cssText = 'width:38px;text-align:right;';
+      value.textContent = slider.value;
+      slider.addEventListener('input', () => { value.textContent = slider.value; });
+      slider.addEventListener('change', async () => {
+        await Settings.setCropTolerance(parseInt(slider.value));
+        this.apply();
+      });
+      toleranceRow.append(name, slider, value);
+
+      const hint = document.createElement('div');
+      hint.style.cssText = 'color:#777;font-size:11px;';
+      hint.textContent = '汚れやノイズで余白が残る場合は色差を大きくしてください（縦スクロール表示では無効）';
+      return [title, enableLabel, toleranceRow, hint];
+    }
+  };
+
+  const Viewer = {
+    uiHidden: false,
+    create() {
+      if (elements.container) return;
+
+      // [修正] スライダーのスタイルを最初に定義し、色の変化を防ぐ
+      if (!document.getElementById('mv-shared-slider-styles')) {
+        const style = document.createElement('style');
+        style.id = 'mv-shared-slider-styles';
+        style.textContent = `
+          input[type="range"]#mv-range-slider-start,
+          input[type="range"]#mv-range-slider-end,
+          input[type="range"]#mv-viewer-slider {
+            -webkit-appearance: none; appearance: none; width: 100%; height: 18px;
+            background-color: transparent; outline: none; margin: 0; padding: 0;
+          }
+          input[type="range"]#mv-range-slider-start::-webkit-slider-runnable-track,
+          input[type="range"]#mv-range-slider-end::-webkit-slider-runnable-track,
+          input[type="range"]#mv-viewer-slider::-webkit-slider-runnable-track {
+            width: 100%; height: 6px; cursor: pointer;
+            background: linear-gradient(var(--mv-fill-direction, to left), #007AFF var(--progress, 0%), #ddd var(--progress, 0%));
+            border-radius: 3px;
+          }
+          input[type="range"]#mv-range-slider-start::-webkit-slider-thumb,
+          input[type="range"]#mv-range-slider-end::-webkit-slider-thumb,
+          input[type="range"]#mv-viewer-slider::-webkit-slider-thumb {
+            -webkit-appearance: none; appearance: none; height: 18px; width: 18px;
+            border-radius: 50%; background: #f8f9fa; cursor: pointer;
+            margin-top: -6px; border: 1px solid #ced4da;
+            box-shadow: 0 1px 3px rgba(0,0,0,0.2);
+          }
+          input[type="range"]#mv-range-slider-start::-moz-range-track,
+          input[type="range"]#mv-range-slider-end::-moz-range-track,
+          input[type="range"]#mv-viewer-slider::-moz-range-track {
+            width: 100%; height: 6px;
+            background: linear-gradient(var(--mv-fill-direction, to left), #007AFF var(--progress, 0%), #ddd var(--progress, 0%));
+            border-radius: 3px;
+          }
+          input[type="range"]#mv-range-slider-start::-moz-range-thumb,
+          input[type="range"]#mv-range-slider-end::-moz-range-thumb,
+          input[type="range"]#mv-viewer-slider::-moz-range-thumb {
+            width: 18px; height: 18px; border-radius: 50%;
+            background: #f8f9fa; cursor: pointer; border: 1px solid #ced4da;
+            box-shadow: 0 1px 3px rgba(0,0,0,0.2);
+          }
+        `;
+        document.head.appendChild(style);
+      }
+
+      elements.container = this.createContainer();
+      elements.imageArea = this.createImageArea();
+      this.setupControls(); this.setupEventListeners();
+      elements.container.appendChild(elements.imageArea);
+      document.body.appendChild(elements.container);
+      this.initializeNavigation();
+      NiconicoUI.updateVisibility();
+    },
+    createContainer() {
+      const container = document.createElement('div');
+      container.style.cssText = `position:fixed;top:0;left:0;width:100vw;height:100vh;background:${Settings.getBgColor()};z-index:10000;display:none;justify-content:center;align-items:center;flex-direction:column;overflow:hidden;touch-action:none;`;
+      return container;
+    },
+    createImageArea() {
+      const imageArea = document.createElement('div');
+      imageArea.style.cssText = this.getImageAreaStyle();
+      return imageArea;
+    },
+    getImageAreaStyle() {
+      if (Settings.getScrollMode()) return 'display:block;width:100vw;height:100vh;overflow-y:auto;overscroll-behavior:contain;box-sizing:border-box;';
+      const isSingle = Settings.getSinglePageMode();
+      const rowDirection = Settings.isLeftToRight() ? 'row' : 'row-reverse';
+      // ページ全体以外の表示サイズでは画面からはみ出すため、はみ出した分は Zoom で移動する
+      const limit = Settings.getFitMode() === 'page' ? 'max-width:calc(100vw - 10px);max-height:calc(100vh - 10px);' : 'flex-shrink:0;';
+      return `display:flex;flex-direction:${isSingle ? 'column' : rowDirection};justify-content:center;align-items:center;${limit}gap:2px;padding:5px;box-sizing:border-box;`;
+    },
+    initializeNavigation() { if (!elements.navigationElement) this.setupNavigation(); },
+    setupNavigation() {
+      const nav = document.createElement('div');
+      nav.setAttribute('data-mv-ui', '1');
+      nav.style.cssText = `position:absolute;bottom:20px;left:50%;transform:translateX(-50%);color:white;font-size:16px;background:rgba(0,0,0,0.7);padding:10px 20px;border-radius:20px;display:flex;align-items:center;gap:12px;opacity:1;transition:opacity 0.5s;`;
+      const ltr = Settings.isLeftToRight();
+      const btnNext = Utils.createButton(ltr ? '次→' : '←次', {}, () => this.nextPage());
+      const btnNextSingle = Utils.createButton(ltr ? '単→' : '←単', {}, () => this.nextPage(1));
+      const btnPrevSingle = Utils.createButton(ltr ? '←単' : '単→', {}, () => this.prevPage(1));
+      const btnPrev = Utils.createButton(ltr ? '←戻' : '戻→', {}, () => this.prevPage());
+
+      const sliderWrapper = document.createElement('div');
+      sliderWrapper.style.cssText = 'position:relative;width:200px;height:18px;display:flex;align-items:center;';
+
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.id = 'mv-viewer-slider';
+      slider.setAttribute('data-mv-ui', '1');
+      slider.min = '1';
+      slider.max = Layout.getTotal().toString();
+      slider.value = (state.currentPage + 1).toString();
+      // [修正] step属性を削除し、イベント側で挙動を制御
+      slider.style.cssText = `width:100%;margin:0;padding:0;`;
+      this.applySliderDirection(slider);
+
+      slider.addEventListener('input', (e) => {
+        // [修正] 見開き表示の時、スライダードラッグ操作であれば見開き単位に補正
+        this.showPage(this.snapToSpread(parseInt(e.target.value) - 1));
+      });
+
+      sliderWrapper.appendChild(slider);
+      // 進む方向のボタンを読む方向の先に置く
+      if (ltr) nav.append(btnPrev, btnPrevSingle, sliderWrapper, btnNextSingle, btnNext);
+      else nav.append(btnNext, btnNextSingle, sliderWrapper, btnPrevSingle, btnPrev);
+      if (Settings.getScrollMode()) nav.append(...ScrollMode.createControls());
+      elements.container.appendChild(nav);
+      elements.navigationElement = nav;
+      elements.viewerSlider = slider;
+      elements.bookmarkTicks = null;
+      Bookmarks.load().then(() => Bookmarks.renderTicks());
+
+      nav.addEventListener('mouseenter', () => { nav.style.opacity = '1'; clearTimeout(timers.navigation); });
+      nav.addEventListener('mouseleave', () => this.revealNavigation());
+      this.revealNavigation();
+    },
+    // ナビゲーションバーを表示し、3秒後にまた隠す
+    revealNavigation() {
+      const nav = elements.navigationElement;
+      if (!nav) return;
+      nav.style.opacity = '1';
+      clearTimeout(timers.navigation);
+      timers.navigation = setTimeout(() => nav.style.opacity = '0', 3000);
+    },
+    // 画面端のボタン類とナビゲーションバーをまとめて表示／非表示にする
+    setUIVisible(visible) {
+      this.uiHidden = !visible;
+      elements.container.querySelectorAll(':scope > button[data-mv-ui="1"], #mv-page-counter').forEach(el => { el.style.visibility = visible ? '' : 'hidden'; });
+      if (visible) this.revealNavigation();
+      else if (elements.navigationElement) {
+        clearTimeout(timers.navigation);
+        elements.navigationElement.style.opacity = '0';
+      }
+    },
+    toggleUI() {
+      const navVisible = elements.navigationElement && elements.navigationElement.style.opacity !== '0';
+      this.setUIVisible(this.uiHidden || !navVisible);
+    },
+    updateNavigation() {
+      if (elements.navigationElement) { elements.navigationElement.remove(); elements.navigationElement = null; }
+      this.setupNavigation();
     },
     setupControls() {
-      const closeBtn = Utils.createButton('×', { position: 'absolute', top: '20px', right: '20px', background: 'rgba(0,0,0,0.5)', fontSize: '24px', width: '40px', height: '40px', borderRadius: '50%' }, () => { elements.container.style.display = 'none'; NiconicoUI.removeThresholdControl(); });
+      const closeBtn = Utils.createButton('×', { position: 'absolute', top: '20px', right: '20px', background: 'rgba(0,0,0,0.5)', fontSize: '24px', width: '40px', height: '40px', borderRadius: '50%' }, () => this.close());
       closeBtn.setAttribute('data-mv-ui', '1'); elements.container.appendChild(closeBtn);
-      const loadAllBtn = Utils.createButton('全読込', { position: 'absolute', top: '70px', right: '20px', background: 'rgba(0,0,0,0.5)', fontSize: '12px', padding: '6px 8px', borderRadius: '4px', opacity: '0.8' }, () => ImageManager.loadAll(loadAllBtn));
+      const overviewBtn = Utils.createButton('▦', { position: 'absolute', top: '150px', right: '20px', background: 'rgba(0,0,0,0.5)', fontSize: '14px', padding: '4px 8px', borderRadius: '4px', opacity: '0.8' }, () => PageOverview.toggle());
+      overviewBtn.title = 'ページ一覧 (g)';
+      overviewBtn.setAttribute('data-mv-ui', '1'); elements.container.appendChild(overviewBtn);
+      const loadAllBtn = elements.loadAllBtn = Utils.createButton('全読込', { position: 'absolute', top: '70px', right: '20px', background: 'rgba(0,0,0,0.5)', fontSize: '12px', padding: '6px 8px', borderRadius: '4px', opacity: '0.8' }, () => ImageManager.loadAll(loadAllBtn));
       loadAllBtn.setAttribute('data-mv-ui', '1'); elements.container.appendChild(loadAllBtn);
+      const bookmarkBtn = Utils.createButton('🔖', { position: 'absolute', top: '110px', right: '20px', background: 'rgba(0,0,0,0.5)', fontSize: '14px', padding: '4px 8px', borderRadius: '4px', opacity: '0.8' }, () => Bookmarks.togglePanel());
+      bookmarkBtn.title = 'しおり (b: 現在のページを追加/削除)';
+      bookmarkBtn.setAttribute('data-mv-ui', '1'); elements.container.appendChild(bookmarkBtn);
+      const zoomBtn = Utils.createButton('🔍', { position: 'absolute', top: '190px', right: '20px', background: 'rgba(0,0,0,0.5)', fontSize: '14px', padding: '4px 8px', borderRadius: '4px', opacity: '0.8' }, () => Zoom.togglePanel());
+      zoomBtn.title = '拡大・表示サイズ・ルーペ';
+      zoomBtn.setAttribute('data-mv-ui', '1'); elements.container.appendChild(zoomBtn);
+      const filterBtn = Utils.createButton('補正', { position: 'absolute', top: '230px', right: '20px', background: 'rgba(0,0,0,0.5)', fontSize: '12px', padding: '4px 6px', borderRadius: '4px', opacity: '0.8' }, () => ImageFilters.togglePanel());
+      filterBtn.title = '画像補正（明るさ・コントラスト・白黒反転など）';
+      filterBtn.setAttribute('data-mv-ui', '1'); elements.container.appendChild(filterBtn);
       elements.fullscreenBtn = Utils.createButton('⛶', { position: 'absolute', bottom: '80px', right: '20px', background: 'rgba(0,0,0,0.5)', fontSize: '14px', padding: '4px 8px', borderRadius: '6px' }, () => this.toggleFullscreen());
       elements.fullscreenBtn.setAttribute('data-mv-ui', '1'); elements.container.appendChild(elements.fullscreenBtn);
       const pageCounter = document.createElement('div');
@@ -898,92 +3366,271 @@
       elements.singlePageBtn.setAttribute('data-mv-ui', '1'); elements.container.appendChild(elements.singlePageBtn);
       elements.bgToggleBtn = Utils.createButton(Settings.getBgColor() === '#F5F5F5' ? '背景:白' : '背景:黒', { position: 'absolute', bottom: '40px', left: '20px', background: 'rgba(0,0,0,0.5)', fontSize: '14px', padding: '4px 8px', borderRadius: '6px' }, () => Settings.toggleBgColor());
       elements.bgToggleBtn.setAttribute('data-mv-ui', '1'); elements.container.appendChild(elements.bgToggleBtn);
-      elements.downloadBtn = Utils.createButton('DL', { position: 'absolute', bottom: '120px', left: '20px', background: 'rgba(0,0,0,0.5)', fontSize: '14px', padding: '6px 10px', borderRadius: '6px', title: 'ダウンロード' }, async () => {
-        if (!elements.downloadPanel) await DownloadUI.createDownloadPanel();
-        DownloadUI.toggle();
-      });
+      elements.downloadBtn = Utils.createButton('DL', { position: 'absolute', bottom: '120px', left: '20px', background: 'rgba(0,0,0,0.5)', fontSize: '14px', padding: '6px 10px', borderRadius: '6px', title: 'ダウンロード' }, () => Commands.run('download'));
       elements.downloadBtn.setAttribute('data-mv-ui', '1'); elements.container.appendChild(elements.downloadBtn);
+      const layoutBtn = Utils.createButton('調整', { position: 'absolute', bottom: '160px', left: '20px', background: 'rgba(0,0,0,0.5)', fontSize: '12px', padding: '6px 8px', borderRadius: '6px' }, () => Layout.togglePanel());
+      layoutBtn.title = '表示の調整（読む方向・表紙の単独表示・空白ページ・タップ領域）';
+      layoutBtn.setAttribute('data-mv-ui', '1'); elements.container.appendChild(layoutBtn);
+      elements.scrollModeBtn = Utils.createButton(Settings.getScrollMode() ? '縦:ON' : '縦:OFF', { position: 'absolute', bottom: '200px', left: '20px', background: 'rgba(0,0,0,0.5)', fontSize: '12px', padding: '6px 8px', borderRadius: '6px' }, () => this.toggleScrollMode());
+      elements.scrollModeBtn.title = '縦スクロール表示（Webtoon）';
+      elements.scrollModeBtn.setAttribute('data-mv-ui', '1'); elements.container.appendChild(elements.scrollModeBtn);
     },
     setupEventListeners() {
+      Zoom.setupEventListeners(elements.container);
+      TouchGestures.setupEventListeners(elements.container);
       elements.container.addEventListener('click', e => {
         if (e.target.closest('[data-mv-ui="1"]')) return;
-        const rect = elements.container.getBoundingClientRect();
-        const isSingle = Settings.getSinglePageMode(), step = isSingle ? 1 : 2;
-        if ((e.clientX - rect.left) > rect.width / 2) this.prevPage(step);
-        else this.nextPage(step);
+        if (Zoom.consumeClick()) return;
+        if (TouchGestures.consumeClick()) return;
+        clearTimeout(timers.click);
+        if (e.detail >= 2) {
+          if (Zoom.isActive()) Zoom.toggleAt(e.clientX, e.clientY);
+          return;
+        }
+        const action = TapZones.actionAt(e.clientX, e.clientY);
+        if (!action) return;
+        // ダブルクリックでの拡大と区別するため、ページ送りは少し待ってから行う
+        timers.click = setTimeout(() => {
+          if (action === 'menu') this.toggleUI();
+          else if (action === 'next') this.nextPage();
+          else this.prevPage();
+        }, Zoom.isActive() ? CONFIG.zoom.doubleClickMs : 0);
       });
       if (CONFIG.enableMouseWheel) {
         elements.container.addEventListener('wheel', e => {
+          if (e.target.closest('[data-mv-scroll="1"]')) return;
+          // Ctrl(Mac は Cmd)+ホイールとトラックパッドのピンチはブラウザの拡大ではなくビューア内で拡大する
+          if (e.ctrlKey || e.metaKey) {
+            e.preventDefault();
+            if (Zoom.isActive()) Zoom.zoomAt(Zoom.scale * Math.exp(-e.deltaY * CONFIG.zoom.wheelSensitivity), e.clientX, e.clientY);
+            return;
+          }
+          // 縦スクロール表示ではブラウザのスクロールに任せ、端に達したときだけ前後の話の案内を出す
+          if (Settings.getScrollMode()) {
+            if (e.deltaY > 0 && ScrollMode.isAtEnd()) this.nextPage();
+            else if (e.deltaY < 0 && ScrollMode.isAtStart()) this.prevPage();
+            return;
+          }
           e.preventDefault();
-          const isSingle = Settings.getSinglePageMode(), step = isSingle ? 1 : 2;
-          if (e.deltaY > 0) this.nextPage(step);
-          else this.prevPage(step);
+          // 拡大中やはみ出した表示では、動かせる間はページ送りの代わりに表示位置を動かす
+          if (Zoom.isPannable() && Zoom.panBy(-e.deltaX, -e.deltaY)) return;
+          if (e.deltaY > 0) this.nextPage();
+          else this.prevPage();
         }, { passive: false });
       }
     },
+    snapToSpread(slot) { return Layout.snap(slot); },
+    // 表示中の画像のインデックス（空白ページは含まない）
+    getVisiblePages() {
+      const slots = Layout.getSlots();
+      return Layout.spreadAt(state.currentPage, slots).map(slot => slots[slot]).filter(i => i !== null && i !== undefined);
+    },
+    async launch(startPage = 0) {
+      Settings.recordLastUsed();
+      await Layout.load();
+      this.showPage(startPage);
+      if (startPage === 0) ReadingProgress.offerResume();
+    },
+    close() {
+      if (!elements.container) return;
+      elements.container.style.display = 'none';
+      // 次に開いたときにボタン類が隠れたままにならないよう戻しておく
+      this.setUIVisible(true);
+      GamepadControls.stop();
+      ScrollMode.stopAuto();
+      Zoom.hideLoupe();
+      NiconicoUI.removeThresholdControl();
+      PageOverview.close();
+      ReadingProgress.save();
+      ReadingProgress.hidePrompt();
+      if (elements.layoutPanel) Layout.togglePanel();
+      if (elements.helpOverlay) KeyboardControls.toggleHelp();
+      KeyboardControls.clearPageJump();
+    },
     showPage(pageNum) {
       if (!state.images.length) return;
       this.create();
-      pageNum = Math.max(0, Math.min(pageNum, state.images.length - 1));
-      elements.imageArea.innerHTML = '';
-      const isSingle = Settings.getSinglePageMode();
-      const pagesToShow = isSingle ? 1 : 2;
-      const maxWidth = isSingle ? 'calc(100vw - 10px)' : 'calc(50vw - 10px)';
-      for (let i = 0; i < pagesToShow; i++) {
-        const idx = pageNum + i;
-        if (idx < state.images.length) {
-          const wrapper = document.createElement('div');
-          wrapper.className = 'image-wrapper';
-          wrapper.style.cssText = 'pointer-events:none;';
-          const img = document.createElement('img');
-          img.src = state.images[idx].src;
-          img.style.cssText = `max-height:calc(100vh - 10px);max-width:${maxWidth};object-fit:contain;display:block;`;
-          wrapper.appendChild(img);
-          elements.imageArea.appendChild(wrapper);
-        }
-      }
+      const slots = Layout.getSlots();
+      pageNum = Math.max(0, Math.min(pageNum, slots.length - 1));
+      ChapterNavigator.hideCard();
+      PageOverview.close();
+      if (Settings.getScrollMode()) ScrollMode.render(pageNum);
+      else this.renderSpread(pageNum, slots);
       state.currentPage = pageNum;
+      if (!Settings.getScrollMode()) {
+        Layout.measureAround(pageNum);
+        Preloader.preloadAround(pageNum);
+        Zoom.onPageChange();
+      }
+      ImageFilters.apply();
+      AutoCrop.apply();
+      if (pageNum > 0) ReadingProgress.hidePrompt();
+      ReadingProgress.scheduleSave();
       this.updatePageInfo();
       elements.container.style.display = 'flex';
+      GamepadControls.start();
+      // 縦スクロール表示ではタッチでのスクロールをブラウザに任せる
+      elements.container.style.touchAction = Settings.getScrollMode() ? 'pan-y' : 'none';
       NiconicoUI.updateVisibility();
     },
+    renderSpread(pageNum, slots) {
+      elements.imageArea.innerHTML = '';
+      const spread = Layout.spreadAt(pageNum, slots);
+      const maxWidth = spread.length === 1 ? 'calc(100vw - 10px)' : 'calc(50vw - 10px)';
+      spread.forEach(slot => {
+        const idx = slots[slot];
+        const wrapper = document.createElement('div');
+        wrapper.className = 'image-wrapper';
+        wrapper.style.cssText = 'pointer-events:none;';
+        if (idx === null) {
+          wrapper.appendChild(this.createBlankPage(spread.map(s => slots[s]).find(i => i !== null), maxWidth));
+        } else {
+          this.renderImage(wrapper, idx, maxWidth);
+        }
+        elements.imageArea.appendChild(wrapper);
+      });
+      Preloader.pin(spread.map(slot => state.images[slots[slot]]?.src).filter(Boolean));
+    },
+    // 先読み済みの画像要素を使い回し、読み込み中はスピナー、失敗時は再試行ボタンを表示する
+    renderImage(wrapper, idx, maxWidth) {
+      const src = state.images[idx].src;
+      const entry = Preloader.load(src);
+      const show = () => {
+        const fitStyles = {
+          page: `max-height:calc(100vh - 10px);max-width:${maxWidth};`,
+          width: `width:${maxWidth};`,
+          height: 'height:calc(100vh - 10px);',
+          original: ''
+        };
+        entry.img.style.cssText = `${fitStyles[Settings.getFitMode()] ?? fitStyles.page}object-fit:contain;display:block;`;
+        wrapper.replaceChildren(entry.img);
+      };
+      if (entry.status === 'loaded') { show(); return; }
+      wrapper.replaceChildren(entry.status === 'error' ? this.createErrorPage(idx, maxWidth) : this.createLoadingPage(idx, maxWidth));
+      if (entry.status === 'error') return;
+      entry.promise.then(() => {
+        if (!wrapper.isConnected) return;
+        if (entry.status === 'loaded') {
+          show();
+          AutoCrop.apply();
+          Zoom.onContentResize();
+        } else {
+          wrapper.replaceChildren(this.createErrorPage(idx, maxWidth));
+        }
+      });
+    },
+    // 隣のページ（不明なら一般的な漫画の縦横比）と同じ大きさの枠
+    createPageFrame(imageIndex, maxWidth) {
+      const size = Layout.getSize(imageIndex);
+      const ratio = size ? size.width / size.height : 0.7;
+      const frame = document.createElement('div');
+      frame.style.cssText = `width:min(${maxWidth}, calc((100vh - 10px) * ${ratio}));aspect-ratio:${ratio};box-sizing:border-box;display:flex;flex-direction:column;align-items:center;justify-content:center;gap:8px;color:#999;font-size:13px;`;
+      return frame;
+    },
+    // 仮想の空白ページ。隣のページと同じ縦横比で枠だけを表示する
+    createBlankPage(partnerIndex, maxWidth) {
+      const blank = this.createPageFrame(partnerIndex, maxWidth);
+      blank.style.border = '1px dashed rgba(128,128,128,0.4)';
+      return blank;
+    },
+    createLoadingPage(idx, maxWidth) {
+      Preloader.ensureStyles();
+      const frame = this.createPageFrame(idx, maxWidth);
+      const spinner = document.createElement('div');
+      spinner.style.cssText = 'width:36px;height:36px;border:4px solid rgba(128,128,128,0.3);border-top-color:#4FC3F7;border-radius:50%;animation:mv-spin 0.8s linear infinite;';
+      frame.appendChild(spinner);
+      return frame;
+    },
+    createErrorPage(idx, maxWidth) {
+      const frame = this.createPageFrame(idx, maxWidth);
+      frame.style.border = '1px solid rgba(229,57,53,0.5)';
+      const message = document.createElement('div');
+      message.textContent = `p.${idx + 1} の読み込みに失敗しました`;
+      const retryBtn = Utils.createButton('再試行', { background: '#e53935', pointerEvents: 'auto' }, () => {
+        Preloader.retry(state.images[idx].src);
+        this.showPage(state.currentPage);
+      });
+      retryBtn.setAttribute('data-mv-ui', '1');
+      frame.append(message, retryBtn);
+      return frame;
+    },
     updatePageInfo() {
       const pageCounter = document.getElementById('mv-page-counter');
       if (!pageCounter) return;
-      const current = state.currentPage + 1, total = state.images.length;
+      const current = state.currentPage + 1, total = Layout.getTotal();
       pageCounter.textContent = `${String(current).padStart(3, '0')}/${String(total).padStart(3, '0')}`;
 
       if (elements.viewerSlider) {
         // [修正] プログレスバーの進行方向を右から左に修正
         const slider = elements.viewerSlider;
+        slider.max = total.toString();
         const min = parseInt(slider.min) || 1;
         const max = parseInt(slider.max) || total;
 
         const progress = max > min ? ((current - min) / (max - min)) * 100 : 0;
 
-        // CSSの 'to left' 指定に合わせて、計算した進行度をそのまま適用
+        // 塗りの向きは applySliderDirection で読む方向に合わせてあるため、計算した進行度をそのまま適用
         slider.style.setProperty('--progress', `${progress}%`);
         slider.value = current.toString();
       }
     },
+    // step を省略すると見開き単位で移動する
     nextPage(step = null) {
-      if (step === null) step = Settings.getSinglePageMode() ? 1 : 2;
+      if (Settings.getScrollMode()) {
+        if (!ScrollMode.isAtEnd()) ScrollMode.scrollStep(1, step === 1);
+        else if (!ChapterNavigator.confirmCard('next')) ChapterNavigator.showCard('next');
+        return;
+      }
+      const slots = Layout.getSlots();
+      if (step === null) step = Layout.spreadAt(state.currentPage, slots).length;
       const target = state.currentPage + step;
-      if (target < state.images.length) this.showPage(target);
+      if (target < slots.length) this.showPage(target);
+      else if (!ChapterNavigator.confirmCard('next')) ChapterNavigator.showCard('next');
     },
     prevPage(step = null) {
-      if (step === null) step = Settings.getSinglePageMode() ? 1 : 2;
-      const target = state.currentPage - step;
+      if (Settings.getScrollMode()) {
+        if (!ScrollMode.isAtStart()) ScrollMode.scrollStep(-1, step === 1);
+        else if (!ChapterNavigator.confirmCard('prev')) ChapterNavigator.showCard('prev');
+        return;
+      }
+      const target = step === null ? Layout.prevStart(state.currentPage) : state.currentPage - step;
       if (target >= 0) this.showPage(target);
+      else if (state.currentPage === 0 && !ChapterNavigator.confirmCard('prev')) ChapterNavigator.showCard('prev');
     },
     toggleSinglePageMode(button) {
       const newMode = !Settings.getSinglePageMode();
       state.settings.singlePageMode = newMode;
       if (button) button.textContent = newMode ? '単' : '見開';
-      if (elements.imageArea) elements.imageArea.style.flexDirection = newMode ? 'column' : 'row-reverse';
+      if (elements.imageArea) elements.imageArea.style.cssText = this.getImageAreaStyle();
       this.updateNavigation();
       this.showPage(state.currentPage);
     },
+    // 右から左へ読む場合はスライダーも右から左へ進める
+    applySliderDirection(slider) {
+      if (!slider) return;
+      const ltr = Settings.isLeftToRight();
+      slider.style.direction = ltr ? 'ltr' : 'rtl';
+      slider.style.setProperty('--mv-fill-direction', ltr ? 'to right' : 'to left');
+    },
+    async setReadingDirection(direction) {
+      await Settings.setReadingDirection(direction);
+      if (elements.imageArea && !Settings.getScrollMode()) elements.imageArea.style.cssText = this.getImageAreaStyle();
+      ['mv-range-slider-start', 'mv-range-slider-end'].forEach(id => this.applySliderDirection(document.getElementById(id)));
+      this.updateNavigation();
+      TapZones.renderOverlay();
+      this.showPage(state.currentPage);
+    },
+    async toggleScrollMode() {
+      // 空白ページの有無でスロットの位置が変わるため、表示中の画像を基準に切り替える
+      const image = this.getVisiblePages()[0] ?? 0;
+      const newMode = !Settings.getScrollMode();
+      ScrollMode.teardown();
+      await Settings.setScrollMode(newMode);
+      if (elements.scrollModeBtn) elements.scrollModeBtn.textContent = newMode ? '縦:ON' : '縦:OFF';
+      if (elements.imageArea) elements.imageArea.style.cssText = this.getImageAreaStyle();
+      this.updateNavigation();
+      this.showPage(this.snapToSpread(Layout.slotOf(image)));
+    },
     toggleFullscreen() {
       if (!elements.container) return;
       if (!state.isFullscreen) {
@@ -1024,7 +3671,7 @@
       elements.toggleButton.onmouseleave = () => elements.toggleButton.style.opacity = '0.7';
       elements.toggleButton.addEventListener('click', () => {
         ImageManager.refresh();
-        if (state.images.length >= CONFIG.minMangaImageCount) Viewer.showPage(0);
+        if (state.images.length >= CONFIG.minMangaImageCount) Viewer.launch();
         else Utils.showMessage('画像が見つかりませんでした。拡張機能アイコンから検出モードを変更してください。', 'rgba(200,0,0,0.8)');
       });
       ['mouseenter', 'mouseleave'].forEach(eventType => {
@@ -1047,21 +3694,233 @@
     }
   };
 
+  // キーボードなどから呼び出せるビューアの操作。キーの割り当ては shortcuts.js の定義と保存された設定から決まる
+  const Commands = {
+    actions: {
+      pageLeft: () => Settings.isLeftToRight() ? Viewer.prevPage() : Viewer.nextPage(),
+      pageRight: () => Settings.isLeftToRight() ? Viewer.nextPage() : Viewer.prevPage(),
+      next: () => Viewer.nextPage(),
+      prev: () => Viewer.prevPage(),
+      nextSingle: () => Viewer.nextPage(1),
+      prevSingle: () => Viewer.prevPage(1),
+      first: () => Viewer.showPage(0),
+      last: () => Viewer.showPage(Viewer.snapToSpread(Layout.getTotal() - 1)),
+      toggleSpread: () => Viewer.toggleSinglePageMode(elements.singlePageBtn),
+      toggleBackground: () => Settings.toggleBgColor(),
+      fullscreen: () => Viewer.toggleFullscreen(),
+      download: async () => {
+        if (!elements.downloadPanel) await DownloadUI.createDownloadPanel();
+        DownloadUI.toggle();
+      },
+      loadAll: () => ImageManager.loadAll(elements.loadAllBtn),
+      overview: () => PageOverview.toggle(),
+      bookmark: () => Bookmarks.toggleCurrent(),
+      zoomIn: () => Zoom.zoomBy(CONFIG.zoom.keyStep),
+      zoomOut: () => Zoom.zoomBy(1 / CONFIG.zoom.keyStep),
+      zoomReset: () => Zoom.reset(),
+      loupe: () => Zoom.toggleLoupe(),
+      compareFilters: () => ImageFilters.toggleCompare(),
+      help: () => KeyboardControls.toggleHelp(),
+      close: () => Viewer.close()
+    },
+    run(command) {
+      const action = this.actions[command];
+      if (!action) return false;
+      action();
+      return true;
+    },
+    // キーボード・ゲームパッド共通の入口。一覧やヘルプの表示中は、それを閉じる操作だけを受け付ける
+    dispatch(command) {
+      if (!command) return false;
+      if (PageOverview.isOpen()) {
+        if (command !== 'overview' && command !== 'close') return false;
+        PageOverview.close();
+        return true;
+      }
+      if (elements.helpOverlay) {
+        if (command !== 'help' && command !== 'close') return false;
+        KeyboardControls.toggleHelp();
+        return true;
+      }
+      return this.run(command);
+    }
+  };
+
   const KeyboardControls = {
+    keyMap: {},
+    pageJumpBuffer: '',
     setup() {
       if (!CONFIG.enableKeyControls) return;
+      this.updateBindings(state.settings.keyBindings);
+      chrome.storage.onChanged.addListener((changes, area) => {
+        if (area !== 'sync' || !changes[ShortcutDefinitions.STORAGE_KEY]) return;
+        this.updateBindings(ShortcutDefinitions.resolve(changes[ShortcutDefinitions.STORAGE_KEY].newValue));
+      });
       document.addEventListener('keydown', (e) => {
         if (!elements.container || elements.container.style.display !== 'flex') return;
-        const isSingle = Settings.getSinglePageMode(), step = isSingle ? 1 : 2;
-        const keyActions = {
-          'ArrowLeft': () => Viewer.nextPage(step), ' ': () => Viewer.nextPage(step),
-          'ArrowRight': () => Viewer.prevPage(step), 'ArrowDown': () => Viewer.nextPage(1),
-          'ArrowUp': () => Viewer.prevPage(1),
-          'Escape': () => { elements.container.style.display = 'none'; NiconicoUI.removeThresholdControl(); }
-        };
-        const action = keyActions[e.key];
-        if (action) { e.preventDefault(); action(); }
+        if (e.target.closest?.('input:not([type="range"]):not([type="checkbox"]):not([type="radio"]), textarea, select, [contenteditable="true"]')) return;
+        const key = ShortcutDefinitions.fromEvent(e);
+        if (!key) return;
+        if (this.handlePageJump(key)) { e.preventDefault(); return; }
+        if (Commands.dispatch(this.keyMap[key])) e.preventDefault();
+      });
+    },
+    updateBindings(bindings) {
+      state.settings.keyBindings = bindings;
+      this.keyMap = ShortcutDefinitions.buildKeyMap(bindings);
+    },
+    // 数字キーでページ番号を入力し、Enter で移動する
+    handlePageJump(key) {
+      if (/^[0-9]$/.test(key)) {
+        this.pageJumpBuffer = (this.pageJumpBuffer + key).replace(/^0+/, '').slice(0, 4);
+        this.showPageJump();
+        return true;
+      }
+      if (!this.pageJumpBuffer) return false;
+      if (key === 'Enter') {
+        const page = Math.max(1, Math.min(parseInt(this.pageJumpBuffer), state.images.length));
+        this.clearPageJump();
+        Viewer.showPage(Viewer.snapToSpread(Layout.slotOf(page - 1)));
+        return true;
+      }
+      if (key === 'Backspace') {
+        this.pageJumpBuffer = this.pageJumpBuffer.slice(0, -1);
+        if (this.pageJumpBuffer) this.showPageJump();
+        else this.clearPageJump();
+        return true;
+      }
+      if (key === 'Escape') {
+        this.clearPageJump();
+        return true;
+      }
+      return false;
+    },
+    showPageJump() {
+      if (!elements.pageJumpInput) {
+        elements.pageJumpInput = document.createElement('div');
+        elements.pageJumpInput.setAttribute('data-mv-ui', '1');
+        elements.pageJumpInput.style.cssText = `position:absolute;top:50%;left:50%;transform:translate(-50%,-50%);background:rgba(0,0,0,0.8);color:white;padding:12px 20px;border-radius:10px;z-index:6;font-size:24px;font-weight:bold;pointer-events:none;`;
+        elements.container.appendChild(elements.pageJumpInput);
+      }
+      elements.pageJumpInput.textContent = `p.${this.pageJumpBuffer || '_'} / ${state.images.length}  (Enter で移動)`;
+      clearTimeout(timers.pageJump);
+      timers.pageJump = setTimeout(() => this.clearPageJump(), CONFIG.pageJump.timeoutMs);
+    },
+    clearPageJump() {
+      this.pageJumpBuffer = '';
+      clearTimeout(timers.pageJump);
+      if (elements.pageJumpInput) { elements.pageJumpInput.remove(); elements.pageJumpInput = null; }
+    },
+    toggleHelp() {
+      if (elements.helpOverlay) {
+        elements.helpOverlay.remove();
+        elements.helpOverlay = null;
+        return;
+      }
+      const overlay = document.createElement('div');
+      overlay.setAttribute('data-mv-ui', '1');
+      overlay.setAttribute('data-mv-scroll', '1');
+      overlay.style.cssText = `position:absolute;top:50%;left:50%;transform:translate(-50%,-50%);background:rgba(0,0,0,0.9);color:white;padding:16px 20px;border-radius:10px;z-index:6;font-size:13px;max-height:80vh;overflow-y:auto;min-width:320px;`;
+      const title = document.createElement('div');
+      title.style.cssText = 'font-weight:bold;font-size:15px;margin-bottom:10px;';
+      title.textContent = 'ショートカット一覧';
+      const table = document.createElement('table');
+      table.style.cssText = 'border-collapse:collapse;width:100%;';
+      const addRow = (label, keys, buttons = '') => {
+        const row = document.createElement('tr');
+        const labelCell = document.createElement('td');
+        labelCell.style.cssText = 'padding:3px 16px 3px 0;';
+        labelCell.textContent = label;
+        const keyCell = document.createElement('td');
+        keyCell.style.cssText = 'padding:3px 12px 3px 0;color:#4FC3F7;white-space:nowrap;';
+        keyCell.textContent = keys || '（なし）';
+        const buttonCell = document.createElement('td');
+        buttonCell.style.cssText = 'padding:3px 0;color:#81C784;white-space:nowrap;';
+        buttonCell.textContent = buttons && `🎮 ${buttons}`;
+        row.append(labelCell, keyCell, buttonCell);
+        table.appendChild(row);
+      };
+      Object.entries(ShortcutDefinitions.COMMANDS).forEach(([command, def]) => {
+        addRow(def.label,
+          (state.settings.keyBindings[command] || []).map(key => ShortcutDefinitions.format(key)).join(' / '),
+          (state.settings.gamepadBindings[command] || []).map(button => ShortcutDefinitions.formatButton(button)).join(' / '));
       });
+      addRow('ページ番号を指定して移動', '数字 → Enter');
+      const note = document.createElement('div');
+      note.style.cssText = 'margin-top:10px;font-size:11px;opacity:0.7;';
+      note.textContent = 'キーの割り当ては拡張機能のオプションページで変更できます';
+      const closeBtn = Utils.createButton('閉じる', { marginTop: '10px', width: '100%' }, () => this.toggleHelp());
+      overlay.append(title, table, note, closeBtn);
+      elements.container.appendChild(overlay);
+      elements.helpOverlay = overlay;
+    }
+  };
+
+  // Gamepad API のボタンをコマンドに割り当てる。ビューア表示中かつ接続中だけ requestAnimationFrame で状態を読み取る
+  const GamepadControls = {
+    buttonMap: {},
+    pressed: new Map(),
+    polling: false,
+    setup() {
+      if (!navigator.getGamepads) return;
+      this.updateBindings(state.settings.gamepadBindings);
+      chrome.storage.onChanged.addListener((changes, area) => {
+        if (area !== 'sync' || !changes[ShortcutDefinitions.GAMEPAD_STORAGE_KEY]) return;
+        this.updateBindings(ShortcutDefinitions.resolveGamepad(changes[ShortcutDefinitions.GAMEPAD_STORAGE_KEY].newValue));
+      });
+      window.addEventListener('gamepadconnected', () => {
+        if (elements.container?.style.display === 'flex') this.start();
+      });
+      window.addEventListener('gamepaddisconnected', () => {
+        if (!this.getPads().length) this.stop();
+      });
+    },
+    updateBindings(bindings) {
+      state.settings.gamepadBindings = bindings;
+      this.buttonMap = ShortcutDefinitions.buildKeyMap(bindings);
+    },
+    getPads() {
+      return Array.from(navigator.getGamepads()).filter(Boolean);
+    },
+    start() {
+      if (!navigator.getGamepads || this.polling || !this.getPads().length) return;
+      this.polling = true;
+      // ビューアを開いた時点で押しっぱなしのボタンは、一度離すまで無視する
+      this.pressed.clear();
+      this.getPads().forEach(pad => {
+        pad.buttons.forEach((button, index) => {
+          if (button.pressed) this.pressed.set(`${pad.index}:${index}`, { command: null, nextRepeat: 0 });
+        });
+      });
+      const loop = () => {
+        if (!this.polling) { this.pressed.clear(); return; }
+        this.poll();
+        requestAnimationFrame(loop);
+      };
+      requestAnimationFrame(loop);
+    },
+    stop() {
+      this.polling = false;
+    },
+    poll() {
+      const now = performance.now();
+      const seen = new Set();
+      this.getPads().forEach(pad => {
+        pad.buttons.forEach((button, index) => {
+          if (!button.pressed) return;
+          const id = `${pad.index}:${index}`;
+          seen.add(id);
+          const held = this.pressed.get(id);
+          if (!held) {
+            this.pressed.set(id, { command: this.buttonMap[index], nextRepeat: now + CONFIG.gamepad.repeatDelay });
+            Commands.dispatch(this.buttonMap[index]);
+          } else if (held.command && CONFIG.gamepad.repeatCommands.includes(held.command) && now >= held.nextRepeat) {
+            held.nextRepeat = now + CONFIG.gamepad.repeatInterval;
+            Commands.dispatch(held.command);
+          }
+        });
+      });
+      Array.from(this.pressed.keys()).forEach(id => { if (!seen.has(id)) this.pressed.delete(id); });
     }
   };
 
@@ -1091,34 +3950,29 @@
         sendResponse({ status: 'pong' });
         break;
       case 'launchViewer':
-        if (state.images.length === 0) {
-          ImageManager.refresh();
-          setTimeout(() => {
-            if (state.images.length >= CONFIG.minMangaImageCount) {
-              if (state.detectedMode && Settings.getDetectionMode() === 'auto') {
-                const key = `mangaDetectionMode_${window.location.hostname}`;
-                chrome.storage.sync.set({ [key]: state.detectedMode });
-                state.settings.detectionMode = state.detectedMode;
-              }
-              Viewer.showPage(0);
-              sendResponse({ success: true });
-            } else {
-              sendResponse({ success: false, reason: 'insufficient_images' });
-            }
-          }, 300);
-          return true;
-        }
-        if (state.images.length >= CONFIG.minMangaImageCount) {
+        const launchWithDetectedMode = () => {
+          if (state.images.length < CONFIG.minMangaImageCount) {
+            sendResponse({ success: false, reason: 'insufficient_images' });
+            return;
+          }
           if (state.detectedMode && Settings.getDetectionMode() === 'auto') {
             const key = `mangaDetectionMode_${window.location.hostname}`;
             chrome.storage.sync.set({ [key]: state.detectedMode });
             state.settings.detectionMode = state.detectedMode;
           }
-          Viewer.showPage(0);
+          Viewer.launch();
           sendResponse({ success: true });
-        } else {
-          sendResponse({ success: false, reason: 'insufficient_images' });
+        };
+        if (state.images.length === 0 || PageExtractors.pending.size) {
+          ImageManager.refresh();
+          // タイル復元などで組み立て中のページがあれば、出来上がるのを待ってから起動する
+          Promise.all([PageExtractors.settle(), new Promise(resolve => setTimeout(resolve, 300))]).then(() => {
+            ImageManager.refresh();
+            launchWithDetectedMode();
+          });
+          return true;
         }
+        launchWithDetectedMode();
         break;
       case 'testDetection':
         const results = {};
@@ -1127,6 +3981,7 @@
           'smart': () => ImageDetector.detectFromResources(),
           'deep-scan': () => ImageDetector.detectFromTextScan(),
           'basic': () => ImageDetector.detectFromDocument(),
+          'background': () => ImageDetector.detectFromStyles(),
           'frame-reader': () => ImageDetector.detectFromIframe(),
           'reading-content': () => ImageDetector.detectBySelector('reading-content'),
           'chapter-content': () => ImageDetector.detectBySelector('chapter-content'),
@@ -1134,11 +3989,20 @@
           'entry-content': () => ImageDetector.detectBySelector('entry-content'),
           'niconico-seiga': () => NiconicoExtractor.extractFromCanvas()
         };
-        for (const [method, func] of Object.entries(detectionMethods)) {
-          results[method] = func().length;
-        }
-        sendResponse({ success: true, results: results });
-        break;
+        if (Settings.getDetectionRule()) detectionMethods['custom'] = () => ImageDetector.detectBySelector('custom');
+        ImageDetector.withShadowRootCache(() => {
+          for (const [method, func] of Object.entries(detectionMethods)) {
+            results[method] = func().length;
+          }
+        });
+        // 組み立てが必要なモードは、組み立てを始めてから出来上がるのを待って数える
+        const extractors = Object.entries(DETECTION_MODES).filter(([, def]) => def.extract && (!def.condition || def.condition()));
+        ImageDetector.withShadowRootCache(() => extractors.forEach(([, def]) => def.extract()));
+        PageExtractors.settle().then(() => {
+          ImageDetector.withShadowRootCache(() => extractors.forEach(([mode, def]) => { results[mode] = def.extract().length; }));
+          sendResponse({ success: true, results: results, frame: results['frame-reader'] ? ImageDetector.chosenFrame?.label : null });
+        });
+        return true;
       case 'updateSiteMode':
         state.settings.siteMode = request.mode;
         state.isEnabled = (request.mode === 'show');
@@ -1150,9 +4014,26 @@
           AutoDetection.stop();
         }
         break;
+      case 'zipProgress':
+        DownloadUI.updateZipProgress(request.done, request.total);
+        break;
+      case 'downloadJobUpdate':
+        DownloadUI.renderJob(request.job);
+        break;
       case 'updateDetectionMode':
         state.settings.detectionMode = request.mode;
         break;
+      case 'updateChapterSelector':
+        state.settings.chapterSelector = request.selector;
+        break;
+      case 'updateDetectionRule':
+        state.settings.detectionRule = request.rule;
+        ImageManager.scheduleRefresh();
+        break;
+      case 'updateTileRule':
+        state.settings.tileRule = request.rule;
+        ImageManager.scheduleRefresh();
+        break;
       case 'updateDisplayMode':
         state.settings.singlePageMode = request.isSingle;
         if (elements.container && elements.container.style.display === 'flex') {
@@ -1174,6 +4055,7 @@
     AutoDetection.setup();
     FullscreenManager.setup();
     KeyboardControls.setup();
+    GamepadControls.setup();
     const detectionMode = Settings.getDetectionMode();
     if ((detectionMode === 'auto' || detectionMode === 'basic') && 'IntersectionObserver' in window) {
       observers.intersection = new IntersectionObserver(entries => {
@@ -1181,7 +4063,9 @@
       }, { root: null, rootMargin: '200px 0px', threshold: 0.01 });
     }
     ImageManager.refresh();
+    ChapterNavigator.resumeAutoLaunch();
     window.addEventListener('beforeunload', () => {
+      if (elements.container?.style.display === 'flex') ReadingProgress.save();
       AutoDetection.stop();
       NiconicoUI.removeThresholdControl();
     });
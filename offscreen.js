@@ -0,0 +1,22 @@
+// offscreen.js - Service Worker では URL.createObjectURL が使えないため、ZIPのBlob URLをここで発行する
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'createBlobUrl') {
+    BlobStore.get(request.key)
+      .then(blob => {
+        if (!blob) throw new Error('アーカイブが見つかりません');
+        sendResponse({ success: true, url: URL.createObjectURL(blob) });
+      })
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  if (request.action === 'revokeBlobUrl') {
+    URL.revokeObjectURL(request.url);
+    // 保存しておくBlob（ダウンロードキューの再試行用など）は key が null で届く
+    (request.key ? BlobStore.remove(request.key) : Promise.resolve())
+      .catch(() => { })
+      .finally(() => sendResponse({ success: true }));
+    return true;
+  }
+  return false;
+});
@@ -0,0 +1,481 @@
+// Options page script for Manga Viewer Extension
+
+class OptionsManager {
+  constructor() {
+    this.sites = {};
+    this.lastUsed = {};
+    this.sortKey = 'host';
+    this.sortAsc = true;
+    this.selected = new Set();
+    // キーボードとゲームパッドの割り当ては同じ表の形で編集する
+    this.bindingKinds = {
+      keyboard: {
+        storageKey: ShortcutDefinitions.STORAGE_KEY,
+        rowsId: 'shortcutRows',
+        messageId: 'shortcutMessage',
+        resolve: stored => ShortcutDefinitions.resolve(stored),
+        format: key => ShortcutDefinitions.format(key),
+        defaults: def => def.defaults,
+        prompt: 'キーを押してください…'
+      },
+      gamepad: {
+        storageKey: ShortcutDefinitions.GAMEPAD_STORAGE_KEY,
+        rowsId: 'gamepadRows',
+        messageId: 'gamepadMessage',
+        resolve: stored => ShortcutDefinitions.resolveGamepad(stored),
+        format: button => ShortcutDefinitions.formatButton(button),
+        defaults: def => def.gamepad || [],
+        prompt: 'ボタンを押してください…'
+      }
+    };
+    this.bindings = {
+      keyboard: ShortcutDefinitions.resolve(null),
+      gamepad: ShortcutDefinitions.resolveGamepad(null)
+    };
+    this.capturing = null;
+    this.init();
+  }
+
+  async init() {
+    try {
+      this.setupEventListeners();
+      await this.loadSites();
+      await this.loadShortcuts();
+      this.render();
+      this.renderShortcuts('keyboard');
+      this.renderShortcuts('gamepad');
+      chrome.storage.onChanged.addListener(async (changes, area) => {
+        Object.entries(this.bindingKinds).forEach(([kind, def]) => {
+          if (area !== 'sync' || !changes[def.storageKey]) return;
+          this.bindings[kind] = def.resolve(changes[def.storageKey].newValue);
+          this.renderShortcuts(kind);
+        });
+        if (area !== 'sync' && !(area === 'local' && changes.mangaViewerLastUsed)) return;
+        await this.loadSites();
+        this.render();
+      });
+    } catch (error) {
+      console.error('[MangaViewer Options]', error);
+    }
+  }
+
+  async loadSites() {
+    this.sites = await SiteSettingsStore.collectSites();
+    this.lastUsed = await SiteSettingsStore.collectLastUsed();
+    Array.from(this.selected).forEach(host => {
+      if (!this.sites[host]) this.selected.delete(host);
+    });
+  }
+
+  setupEventListeners() {
+    document.getElementById('search').addEventListener('input', () => {
+      this.render();
+    });
+
+    document.getElementById('addSite').addEventListener('click', () => {
+      this.addSite();
+    });
+
+    document.getElementById('newHost').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.addSite();
+    });
+
+    document.getElementById('deleteSelected').addEventListener('click', () => {
+      this.deleteSelected();
+    });
+
+    document.getElementById('selectAll').addEventListener('change', (e) => {
+      this.getVisibleHosts().forEach(host => {
+        if (e.target.checked) this.selected.add(host);
+        else this.selected.delete(host);
+      });
+      this.render();
+    });
+
+    document.querySelectorAll('th[data-sort]').forEach(th => {
+      th.addEventListener('click', () => {
+        if (this.sortKey === th.dataset.sort) this.sortAsc = !this.sortAsc;
+        else {
+          this.sortKey = th.dataset.sort;
+          this.sortAsc = th.dataset.sort !== 'lastUsed';
+        }
+        this.render();
+      });
+    });
+
+    document.getElementById('resetShortcuts').addEventListener('click', () => {
+      if (!confirm('すべてのショートカットを既定の割り当てに戻しますか?')) return;
+      this.saveShortcuts('keyboard', ShortcutDefinitions.resolve(null), 'すべてのショートカットを既定に戻しました');
+    });
+
+    document.getElementById('resetGamepad').addEventListener('click', () => {
+      if (!confirm('すべてのゲームパッドの割り当てを既定に戻しますか?')) return;
+      this.saveShortcuts('gamepad', ShortcutDefinitions.resolveGamepad(null), 'ゲームパッドの割り当てを既定に戻しました');
+    });
+
+    // 「追加」を押した後の次のキー入力を割り当てとして受け取る
+    document.addEventListener('keydown', (e) => {
+      if (this.capturing?.kind !== 'keyboard') return;
+      const key = ShortcutDefinitions.fromEvent(e);
+      if (!key) return;
+      e.preventDefault();
+      e.stopPropagation();
+      this.assignBinding('keyboard', this.capturing.command, key);
+    }, true);
+  }
+
+  // ワイルドカードのエントリは一致するホストのうち最も新しい使用日時を表示する
+  getLastUsed(host) {
+    return Object.entries(this.lastUsed)
+      .filter(([usedHost]) => SiteSettingsStore.matchesHost(host, usedHost))
+      .reduce((latest, [, time]) => Math.max(latest, time), 0);
+  }
+
+  getDisplayMode(site) {
+    if (site.scrollMode) return 'scroll';
+    if (site.singlePage === undefined) return '';
+    return site.singlePage ? 'single' : 'spread';
+  }
+
+  getVisibleHosts() {
+    const query = document.getElementById('search').value.trim().toLowerCase();
+    const sortValue = (host) => {
+      const site = this.sites[host];
+      switch (this.sortKey) {
+        case 'lastUsed': return this.getLastUsed(host);
+        case 'host': return host;
+        case 'singlePage': return site.scrollMode ? 'scroll' : (site.singlePage === undefined ? '' : String(site.singlePage));
+        case 'readingDirection': return site.readingDirection || '';
+        case 'coverAlone': return site.coverAlone === undefined ? '' : String(site.coverAlone);
+        case 'autoCrop': return site.autoCrop === undefined ? '' : String(site.autoCrop);
+        case 'imageFilters': return site.imageFilters ? SiteSettingsStore.describeImageFilters(site.imageFilters) : '';
+        default: return site[this.sortKey] || '';
+      }
+    };
+    return Object.keys(this.sites)
+      .filter(host => !query || host.includes(query))
+      .sort((a, b) => {
+        const va = sortValue(a), vb = sortValue(b);
+        const order = va < vb ? -1 : va > vb ? 1 : a.localeCompare(b);
+        return this.sortAsc ? order : -order;
+      });
+  }
+
+  createSelect(options, value, onChange) {
+    const select = document.createElement('select');
+    Object.entries(options).forEach(([optionValue, label]) => {
+      const option = document.createElement('option');
+      option.value = optionValue;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = value;
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+  }
+
+  render() {
+    const tbody = document.getElementById('siteRows');
+    const hosts = this.getVisibleHosts();
+
+    tbody.replaceChildren(...hosts.map(host => {
+      const site = this.sites[host];
+      const row = document.createElement('tr');
+
+      const checkCell = document.createElement('td');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = this.selected.has(host);
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) this.selected.add(host);
+        else this.selected.delete(host);
+        this.updateBulkControls();
+      });
+      checkCell.appendChild(checkbox);
+
+      const hostCell = document.createElement('td');
+      hostCell.className = 'host-cell';
+      hostCell.textContent = host;
+      if (host.startsWith('*.')) {
+        const badge = document.createElement('span');
+        badge.className = 'wildcard';
+        badge.textContent = 'サブドメイン含む';
+        hostCell.appendChild(badge);
+      }
+
+      const modeCell = document.createElement('td');
+      modeCell.appendChild(this.createSelect(
+        { show: '表示', hide: '非表示' },
+        site.siteMode || 'hide',
+        value => this.updateSite(host, { siteMode: value })
+      ));
+
+      const detectionCell = document.createElement('td');
+      detectionCell.appendChild(this.createSelect(
+        { '': '未設定（自動検出）', ...SiteSettingsStore.DETECTION_MODE_NAMES },
+        site.detectionMode || '',
+        value => this.updateSite(host, { detectionMode: value || null })
+      ));
+
+      const displayCell = document.createElement('td');
+      displayCell.appendChild(this.createSelect(
+        { '': '未設定（見開き）', spread: '見開き', single: '単ページ', scroll: '縦スクロール' },
+        this.getDisplayMode(site),
+        value => this.updateSite(host, value === 'scroll'
+          ? { scrollMode: true }
+          : { singlePage: value ? value === 'single' : null, scrollMode: null })
+      ));
+
+      const directionCell = document.createElement('td');
+      directionCell.appendChild(this.createSelect(
+        { '': '未設定（右から左）', rtl: '右から左', ltr: '左から右' },
+        site.readingDirection || '',
+        value => this.updateSite(host, { readingDirection: value || null })
+      ));
+
+      const coverCell = document.createElement('td');
+      coverCell.appendChild(this.createSelect(
+        { '': '未設定（ペア）', alone: '単独', paired: 'ペア' },
+        site.coverAlone === undefined ? '' : (site.coverAlone ? 'alone' : 'paired'),
+        value => this.updateSite(host, { coverAlone: value ? value === 'alone' : null })
+      ));
+
+      const tapCell = document.createElement('td');
+      tapCell.appendChild(this.createSelect(
+        { '': '未設定（左右2分割）', ...ViewerModes.TAP_ZONE_NAMES },
+        site.tapZones || '',
+        value => this.updateSite(host, { tapZones: value || null })
+      ));
+
+      const cropCell = document.createElement('td');
+      cropCell.appendChild(this.createSelect(
+        { '': '未設定（しない）', on: 'する', off: 'しない' },
+        site.autoCrop === undefined ? '' : (site.autoCrop ? 'on' : 'off'),
+        value => this.updateSite(host, { autoCrop: value ? value === 'on' : null })
+      ));
+
+      const stitchCell = document.createElement('td');
+      stitchCell.appendChild(this.createSelect(
+        { '': '未設定（しない）', ...ViewerModes.STITCH_MODE_NAMES },
+        site.stitchMode || '',
+        value => this.updateSite(host, { stitchMode: value || null })
+      ));
+
+      const filterCell = document.createElement('td');
+      filterCell.className = 'muted';
+      if (site.imageFilters) {
+        filterCell.textContent = SiteSettingsStore.describeImageFilters(site.imageFilters) || 'なし';
+        const clearBtn = document.createElement('button');
+        clearBtn.className = 'btn btn-secondary btn-inline';
+        clearBtn.textContent = '解除';
+        clearBtn.addEventListener('click', () => this.updateSite(host, { imageFilters: null }));
+        filterCell.appendChild(clearBtn);
+      } else {
+        filterCell.textContent = '—';
+      }
+
+      const lastUsedCell = document.createElement('td');
+      lastUsedCell.className = 'muted';
+      const lastUsed = this.getLastUsed(host);
+      lastUsedCell.textContent = lastUsed ? new Date(lastUsed).toLocaleString() : '—';
+
+      row.append(checkCell, hostCell, modeCell, detectionCell, displayCell, directionCell, coverCell, tapCell, stitchCell, filterCell, cropCell, lastUsedCell);
+      return row;
+    }));
+
+    document.querySelectorAll('th[data-sort]').forEach(th => {
+      const label = th.textContent.replace(/ [▲▼]$/, '');
+      th.textContent = th.dataset.sort === this.sortKey ? `${label} ${this.sortAsc ? '▲' : '▼'}` : label;
+    });
+    document.getElementById('emptyMessage').style.display = Object.keys(this.sites).length ? 'none' : 'block';
+    this.updateBulkControls();
+  }
+
+  async loadShortcuts() {
+    const result = await chrome.storage.sync.get(Object.values(this.bindingKinds).map(def => def.storageKey));
+    Object.entries(this.bindingKinds).forEach(([kind, def]) => {
+      this.bindings[kind] = def.resolve(result[def.storageKey]);
+    });
+  }
+
+  renderShortcuts(kind) {
+    const kindDef = this.bindingKinds[kind];
+    const bindings = this.bindings[kind];
+    const tbody = document.getElementById(kindDef.rowsId);
+    tbody.replaceChildren(...Object.entries(ShortcutDefinitions.COMMANDS).map(([command, def]) => {
+      const row = document.createElement('tr');
+
+      const labelCell = document.createElement('td');
+      labelCell.textContent = def.label;
+
+      const keysCell = document.createElement('td');
+      bindings[command].forEach(key => {
+        const chip = document.createElement('span');
+        chip.className = 'key-chip';
+        chip.textContent = kindDef.format(key);
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = '×';
+        removeBtn.title = '割り当てを削除';
+        removeBtn.addEventListener('click', () => {
+          this.saveShortcuts(kind, { ...bindings, [command]: bindings[command].filter(k => k !== key) }, `${def.label}: ${kindDef.format(key)} を削除しました`);
+        });
+        chip.appendChild(removeBtn);
+        keysCell.appendChild(chip);
+      });
+      if (!bindings[command].length) {
+        const none = document.createElement('span');
+        none.className = 'muted';
+        none.textContent = '（なし）';
+        keysCell.appendChild(none);
+      }
+
+      const actionCell = document.createElement('td');
+      actionCell.className = 'shortcut-actions';
+      const isCapturing = this.capturing?.kind === kind && this.capturing.command === command;
+      const addBtn = document.createElement('button');
+      addBtn.className = 'btn btn-secondary';
+      addBtn.textContent = isCapturing ? kindDef.prompt : '追加';
+      addBtn.addEventListener('click', () => this.toggleCapture(kind, command));
+      const defaultBtn = document.createElement('button');
+      defaultBtn.className = 'btn btn-secondary';
+      defaultBtn.textContent = '既定に戻す';
+      defaultBtn.addEventListener('click', () => {
+        this.saveShortcuts(kind, { ...bindings, [command]: [...kindDef.defaults(def)] }, `${def.label} を既定に戻しました`);
+      });
+      actionCell.append(addBtn, defaultBtn);
+
+      row.append(labelCell, keysCell, actionCell);
+      return row;
+    }));
+  }
+
+  toggleCapture(kind, command) {
+    const previous = this.capturing;
+    const same = previous?.kind === kind && previous.command === command;
+    this.capturing = same ? null : { kind, command };
+    if (previous && previous.kind !== kind) this.renderShortcuts(previous.kind);
+    this.renderShortcuts(kind);
+    if (this.capturing?.kind === 'gamepad') this.captureGamepadButton(this.capturing);
+  }
+
+  // 追加を押した時点で押されていなかったボタンのうち、最初に押されたものを割り当てる
+  captureGamepadButton(capture) {
+    if (!navigator.getGamepads) {
+      this.showMessage('gamepadMessage', 'このブラウザではゲームパッドを利用できません', 'error');
+      return;
+    }
+    const pressedButtons = () => Array.from(navigator.getGamepads()).filter(Boolean)
+      .flatMap(pad => pad.buttons.map((button, index) => button.pressed ? index : null))
+      .filter(index => index !== null);
+    const initial = new Set(pressedButtons());
+    const poll = () => {
+      if (this.capturing !== capture) return;
+      const button = pressedButtons().find(index => !initial.has(index));
+      if (button === undefined) {
+        requestAnimationFrame(poll);
+        return;
+      }
+      this.assignBinding('gamepad', capture.command, button);
+    };
+    requestAnimationFrame(poll);
+  }
+
+  // 他のコマンドに割り当て済みのキーは、そちらから外して付け替える
+  assignBinding(kind, command, key) {
+    const kindDef = this.bindingKinds[kind];
+    this.capturing = null;
+    if (kind === 'keyboard' && ShortcutDefinitions.isReserved(key)) {
+      this.showMessage(kindDef.messageId, `${kindDef.format(key)} はページ番号の入力に使われるため割り当てられません`, 'error');
+      this.renderShortcuts(kind);
+      return;
+    }
+    const bindings = {};
+    let movedFrom = null;
+    Object.entries(this.bindings[kind]).forEach(([other, keys]) => {
+      if (other !== command && keys.includes(key)) movedFrom = other;
+      bindings[other] = other === command ? keys.filter(k => k !== key).concat(key) : keys.filter(k => k !== key);
+    });
+    const label = ShortcutDefinitions.COMMANDS[command].label;
+    const text = movedFrom
+      ? `${kindDef.format(key)} を「${ShortcutDefinitions.COMMANDS[movedFrom].label}」から「${label}」に付け替えました`
+      : `${label} に ${kindDef.format(key)} を割り当てました`;
+    this.saveShortcuts(kind, bindings, text);
+  }
+
+  async saveShortcuts(kind, bindings, text) {
+    const { messageId, storageKey } = this.bindingKinds[kind];
+    this.bindings[kind] = bindings;
+    this.renderShortcuts(kind);
+    try {
+      await chrome.storage.sync.set({ [storageKey]: bindings });
+      this.showMessage(messageId, text, 'success');
+    } catch (error) {
+      console.error('Failed to save shortcuts:', error);
+      this.showMessage(messageId, 'ショートカットの保存に失敗しました', 'error');
+    }
+  }
+
+  updateBulkControls() {
+    const visible = this.getVisibleHosts();
+    const selectAll = document.getElementById('selectAll');
+    selectAll.checked = visible.length > 0 && visible.every(host => this.selected.has(host));
+    document.getElementById('deleteSelected').disabled = this.selected.size === 0;
+  }
+
+  async updateSite(host, changes) {
+    try {
+      await SiteSettingsStore.updateSite(host, changes);
+      this.showMessage('tableMessage', `${host} の設定を保存しました`, 'success');
+    } catch (error) {
+      console.error('Failed to update site:', error);
+      this.showMessage('tableMessage', '設定の保存に失敗しました', 'error');
+    }
+  }
+
+  async addSite() {
+    const input = document.getElementById('newHost');
+    const host = input.value.trim().toLowerCase();
+    if (!SiteSettingsStore.isValidHost(host)) {
+      this.showMessage('addMessage', 'ホスト名が不正です（例: example.com / *.example.com）', 'error');
+      return;
+    }
+    if (this.sites[host]) {
+      this.showMessage('addMessage', `${host} は既に設定されています`, 'error');
+      return;
+    }
+    try {
+      await SiteSettingsStore.updateSite(host, { siteMode: 'show' });
+      input.value = '';
+      this.showMessage('addMessage', `${host} を追加しました`, 'success');
+    } catch (error) {
+      console.error('Failed to add site:', error);
+      this.showMessage('addMessage', 'サイトの追加に失敗しました', 'error');
+    }
+  }
+
+  async deleteSelected() {
+    const hosts = Array.from(this.selected);
+    if (!hosts.length) return;
+    if (!confirm(`${hosts.length}件のサイト設定を削除しますか?\n${hosts.join('\n')}`)) return;
+    try {
+      for (const host of hosts) await SiteSettingsStore.removeSite(host);
+      this.selected.clear();
+      this.showMessage('tableMessage', `${hosts.length}件のサイト設定を削除しました`, 'success');
+    } catch (error) {
+      console.error('Failed to delete sites:', error);
+      this.showMessage('tableMessage', '削除に失敗しました', 'error');
+    }
+  }
+
+  showMessage(id, text, type = 'info') {
+    const element = document.getElementById(id);
+    element.textContent = text;
+    element.className = `message message-${type}`;
+    clearTimeout(this.messageTimers?.[id]);
+    this.messageTimers = { ...this.messageTimers, [id]: setTimeout(() => { element.textContent = ''; }, 3000) };
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new OptionsManager();
+});
@@ -13,6 +13,7 @@ class PopupManager {
       await this.loadSettings();
       this.setupEventListeners();
       await this.updateUI();
+      await this.renderRecent();
     } catch (error) {
       console.error('[MangaViewer Popup]', error);
     }
@@ -39,11 +40,26 @@ class PopupManager {
       const detectionModeKey = `mangaDetectionMode_${this.hostname}`;
       const detectionResult = await chrome.storage.sync.get(detectionModeKey);
       this.detectionMode = detectionResult[detectionModeKey] || 'auto';
+
+      const ruleKey = `mangaDetectionRule_${this.hostname}`;
+      const ruleResult = await chrome.storage.sync.get(ruleKey);
+      this.detectionRule = ruleResult[ruleKey] || null;
+
+      const tileKey = `mangaTileRule_${this.hostname}`;
+      const tileResult = await chrome.storage.sync.get(tileKey);
+      this.tileRule = tileResult[tileKey] || null;
+
+      const chapterKey = `mangaChapterSelector_${this.hostname}`;
+      const chapterResult = await chrome.storage.sync.get(chapterKey);
+      this.chapterSelector = chapterResult[chapterKey] || null;
       
     } catch (error) {
       console.error('Failed to load settings:', error);
       this.siteSettings = {};
       this.detectionMode = 'auto';
+      this.detectionRule = null;
+      this.tileRule = null;
+      this.chapterSelector = null;
     }
   }
 
@@ -68,10 +84,59 @@ class PopupManager {
       this.setDetectionMode(e.target.value);
     });
 
+    document.getElementById('saveDetectionRule').addEventListener('click', () => {
+      this.saveDetectionRule();
+    });
+
+    document.getElementById('deleteDetectionRule').addEventListener('click', () => {
+      this.deleteDetectionRule();
+    });
+
+    document.getElementById('saveTileRule').addEventListener('click', () => {
+      this.saveTileRule();
+    });
+
+    document.getElementById('deleteTileRule').addEventListener('click', () => {
+      this.deleteTileRule();
+    });
+
+    document.getElementById('saveChapterSelector').addEventListener('click', () => {
+      this.saveChapterSelector();
+    });
+
     document.getElementById('showAllSettings').addEventListener('click', () => {
       this.showAllSettings();
     });
 
+    document.getElementById('clearRecent').addEventListener('click', () => {
+      this.clearRecent();
+    });
+
+    document.getElementById('openOptions').addEventListener('click', () => {
+      chrome.runtime.openOptionsPage();
+    });
+
+    document.getElementById('exportSettings').addEventListener('click', () => {
+      this.exportSettings();
+    });
+
+    document.getElementById('importSettings').addEventListener('click', () => {
+      document.getElementById('importFile').click();
+    });
+
+    document.getElementById('importFile').addEventListener('change', (e) => {
+      if (e.target.files[0]) this.previewImport(e.target.files[0]);
+      e.target.value = '';
+    });
+
+    document.getElementById('applyImport').addEventListener('click', () => {
+      this.applyImport();
+    });
+
+    document.getElementById('cancelImport').addEventListener('click', () => {
+      this.closeImportPreview();
+    });
+
     document.getElementById('resetSiteSettings').addEventListener('click', () => {
       this.resetSiteSettings();
     });
@@ -100,21 +165,94 @@ class PopupManager {
         'smart': 'スマート検出',
         'deep-scan': 'ディープスキャン',
         'basic': '基本型',
+        'background': '背景画像型',
         'frame-reader': 'フレーム型',
         'reading-content': 'エリア型',
         'chapter-content': 'チャプター型',
         'manga-reader': 'リーダー型',
         'entry-content': 'エントリー型',
-        'niconico-seiga': 'Canvasモード'
+        'niconico-seiga': 'Canvasモード',
+        'custom': 'カスタムルール',
+        'tile-shuffle': 'タイル復元',
+        'css-sprite': 'スプライト型'
       };
       
       detectionStatus.textContent = `現在: ${modeNames[this.detectionMode] || this.detectionMode}`;
 
+      const rule = this.detectionRule || {};
+      document.getElementById('ruleSelector').value = rule.selector || '';
+      document.getElementById('ruleAttributes').value = (rule.attributes || []).join(', ');
+      document.getElementById('ruleInclude').value = rule.include || '';
+      document.getElementById('ruleExclude').value = rule.exclude || '';
+      document.getElementById('ruleMinWidth').value = rule.minWidth || '';
+      document.getElementById('ruleMinHeight').value = rule.minHeight || '';
+
+      const tileRule = this.tileRule || {};
+      document.getElementById('tileSelector').value = tileRule.selector || '';
+      document.getElementById('tileInclude').value = tileRule.include || '';
+      document.getElementById('tileColumns').value = tileRule.columns || '';
+      document.getElementById('tileRows').value = tileRule.rows || '';
+      document.getElementById('tilePermutation').value = (tileRule.permutation || []).join(', ');
+
+      document.getElementById('chapterNextSelector').value = this.chapterSelector?.next || '';
+      document.getElementById('chapterPrevSelector').value = this.chapterSelector?.prev || '';
+
     } catch (error) {
       console.error('Failed to update UI:', error);
     }
   }
 
+  async renderRecent() {
+    try {
+      const result = await chrome.storage.local.get('mangaViewerProgress');
+      const entries = Object.entries(result.mangaViewerProgress || {})
+        .sort((a, b) => b[1].updatedAt - a[1].updatedAt)
+        .slice(0, 10);
+      document.getElementById('recentSection').style.display = entries.length ? 'block' : 'none';
+
+      document.getElementById('recentList').replaceChildren(...entries.map(([url, progress]) => {
+        const item = document.createElement('button');
+        item.className = 'recent-item';
+        item.title = url;
+
+        const title = document.createElement('div');
+        title.className = 'recent-title';
+        title.textContent = progress.title || url;
+
+        const meta = document.createElement('div');
+        meta.className = 'recent-meta';
+        const bar = document.createElement('div');
+        bar.className = 'progress-bar';
+        const fill = document.createElement('div');
+        fill.className = 'progress-fill';
+        const ratio = progress.total > 0 ? (progress.page + 1) / progress.total : 0;
+        fill.style.width = `${Math.min(100, Math.round(ratio * 100))}%`;
+        bar.appendChild(fill);
+        const pages = document.createElement('span');
+        pages.textContent = `${progress.page + 1}/${progress.total}`;
+        meta.append(bar, pages);
+
+        item.append(title, meta);
+        item.addEventListener('click', () => {
+          chrome.tabs.create({ url: url });
+          window.close();
+        });
+        return item;
+      }));
+    } catch (error) {
+      console.error('Failed to load reading progress:', error);
+    }
+  }
+
+  async clearRecent() {
+    try {
+      await chrome.storage.local.remove('mangaViewerProgress');
+      await this.renderRecent();
+    } catch (error) {
+      console.error('Failed to clear reading progress:', error);
+    }
+  }
+
   async launchViewer() {
     try {
       const button = document.getElementById('launchViewer');
@@ -137,7 +275,7 @@ class PopupManager {
         try {
           await chrome.scripting.executeScript({
             target: { tabId: this.currentTab.id },
-            files: ['content.js']
+            files: ['shortcuts.js', 'viewer-modes.js', 'content.js']
           });
           
           await new Promise(resolve => setTimeout(resolve, 1000));
@@ -201,7 +339,7 @@ class PopupManager {
         try {
           await chrome.scripting.executeScript({
             target: { tabId: this.currentTab.id },
-            files: ['content.js']
+            files: ['shortcuts.js', 'viewer-modes.js', 'content.js']
           });
           await new Promise(resolve => setTimeout(resolve, 1000));
         } catch (injectError) {
@@ -223,6 +361,10 @@ class PopupManager {
           const emoji = count > 0 ? '✅' : '❌';
           resultText += `${emoji} ${method}: ${count}枚\n`;
         });
+
+        if (response.frame) {
+          resultText += `\nフレーム型の対象: ${response.frame}\n`;
+        }
         
         const bestMode = sortedResults[0];
         if (bestMode && bestMode[1] > 0) {
@@ -302,6 +444,173 @@ class PopupManager {
     }
   }
 
+  readDetectionRule() {
+    const value = (id) => document.getElementById(id).value.trim();
+    const rule = {
+      selector: value('ruleSelector'),
+      attributes: value('ruleAttributes').split(',').map(attr => attr.trim()).filter(Boolean),
+      include: value('ruleInclude'),
+      exclude: value('ruleExclude'),
+      minWidth: parseInt(value('ruleMinWidth')) || null,
+      minHeight: parseInt(value('ruleMinHeight')) || null
+    };
+
+    if (!rule.selector) throw new Error('セレクタを入力してください');
+    try {
+      document.createDocumentFragment().querySelector(rule.selector);
+    } catch (e) {
+      throw new Error('セレクタが不正です');
+    }
+    for (const pattern of [rule.include, rule.exclude]) {
+      try {
+        if (pattern) new RegExp(pattern);
+      } catch (e) {
+        throw new Error('正規表現が不正です');
+      }
+    }
+    return rule;
+  }
+
+  async saveDetectionRule() {
+    try {
+      const rule = this.readDetectionRule();
+      await chrome.storage.sync.set({ [`mangaDetectionRule_${this.hostname}`]: rule });
+      this.detectionRule = rule;
+      await this.notifyDetectionRule(rule);
+      this.showMessage('ルールを保存しました', 'success');
+    } catch (error) {
+      console.error('Failed to save detection rule:', error);
+      this.showMessage(error.message || 'ルールの保存に失敗しました', 'error');
+    }
+  }
+
+  async deleteDetectionRule() {
+    try {
+      await chrome.storage.sync.remove(`mangaDetectionRule_${this.hostname}`);
+      this.detectionRule = null;
+      if (this.detectionMode === 'custom') await this.setDetectionMode('auto');
+      await this.notifyDetectionRule(null);
+      await this.updateUI();
+      this.showMessage('ルールを削除しました', 'success');
+    } catch (error) {
+      console.error('Failed to delete detection rule:', error);
+      this.showMessage('ルールの削除に失敗しました', 'error');
+    }
+  }
+
+  async notifyDetectionRule(rule) {
+    try {
+      await chrome.tabs.sendMessage(this.currentTab.id, {
+        action: 'updateDetectionRule',
+        rule: rule
+      });
+    } catch (error) {
+      console.log('Could not notify content script, but setting saved');
+    }
+  }
+
+  readTileRule() {
+    const value = (id) => document.getElementById(id).value.trim();
+    const rule = {
+      selector: value('tileSelector'),
+      include: value('tileInclude'),
+      columns: parseInt(value('tileColumns')) || 0,
+      rows: parseInt(value('tileRows')) || 0,
+      permutation: value('tilePermutation').split(',').map(n => n.trim()).filter(Boolean).map(Number)
+    };
+
+    if (!rule.selector && !rule.include) throw new Error('セレクタか画像URLを入力してください');
+    if (rule.selector) {
+      try {
+        document.createDocumentFragment().querySelector(rule.selector);
+      } catch (e) {
+        throw new Error('セレクタが不正です');
+      }
+    }
+    try {
+      if (rule.include) new RegExp(rule.include);
+    } catch (e) {
+      throw new Error('正規表現が不正です');
+    }
+    if (rule.columns < 1 || rule.rows < 1) throw new Error('分割数を入力してください');
+    const count = rule.columns * rule.rows;
+    const valid = rule.permutation.length === count && new Set(rule.permutation).size === count
+      && rule.permutation.every(n => Number.isInteger(n) && n >= 0 && n < count);
+    if (!valid) throw new Error(`並び順には 0〜${count - 1} を1回ずつ入力してください`);
+    return rule;
+  }
+
+  async saveTileRule() {
+    try {
+      const rule = this.readTileRule();
+      await chrome.storage.sync.set({ [`mangaTileRule_${this.hostname}`]: rule });
+      this.tileRule = rule;
+      await this.notifyTileRule(rule);
+      this.showMessage('タイル復元ルールを保存しました', 'success');
+    } catch (error) {
+      console.error('Failed to save tile rule:', error);
+      this.showMessage(error.message || 'ルールの保存に失敗しました', 'error');
+    }
+  }
+
+  async deleteTileRule() {
+    try {
+      await chrome.storage.sync.remove(`mangaTileRule_${this.hostname}`);
+      this.tileRule = null;
+      if (this.detectionMode === 'tile-shuffle') await this.setDetectionMode('auto');
+      await this.notifyTileRule(null);
+      await this.updateUI();
+      this.showMessage('タイル復元ルールを削除しました', 'success');
+    } catch (error) {
+      console.error('Failed to delete tile rule:', error);
+      this.showMessage('ルールの削除に失敗しました', 'error');
+    }
+  }
+
+  async notifyTileRule(rule) {
+    try {
+      await chrome.tabs.sendMessage(this.currentTab.id, {
+        action: 'updateTileRule',
+        rule: rule
+      });
+    } catch (error) {
+      console.log('Could not notify content script, but setting saved');
+    }
+  }
+
+  async saveChapterSelector() {
+    try {
+      const next = document.getElementById('chapterNextSelector').value.trim();
+      const prev = document.getElementById('chapterPrevSelector').value.trim();
+      for (const selector of [next, prev]) {
+        try {
+          if (selector) document.createDocumentFragment().querySelector(selector);
+        } catch (e) {
+          throw new Error('セレクタが不正です');
+        }
+      }
+
+      const key = `mangaChapterSelector_${this.hostname}`;
+      const selector = (next || prev) ? { next, prev } : null;
+      if (selector) await chrome.storage.sync.set({ [key]: selector });
+      else await chrome.storage.sync.remove(key);
+      this.chapterSelector = selector;
+
+      try {
+        await chrome.tabs.sendMessage(this.currentTab.id, {
+          action: 'updateChapterSelector',
+          selector: selector
+        });
+      } catch (error) {
+        console.log('Could not notify content script, but setting saved');
+      }
+      this.showMessage('保存しました', 'success');
+    } catch (error) {
+      console.error('Failed to save chapter selector:', error);
+      this.showMessage(error.message || '保存に失敗しました', 'error');
+    }
+  }
+
   async showAllSettings() {
     try {
       const button = document.getElementById('showAllSettings');
@@ -344,6 +653,27 @@ class PopupManager {
         settingsText += '\n';
       }
 
+      const scrollModes = Object.keys(siteSettings).filter(key => key.startsWith('mangaViewerScrollMode_') && siteSettings[key] === 'true');
+      if (scrollModes.length > 0) {
+        settingsText += '【縦スクロール表示】\n';
+        scrollModes.forEach(key => {
+          settingsText += `${key.replace('mangaViewerScrollMode_', '')}\n`;
+        });
+        settingsText += '\n';
+      }
+
+      const detectionRules = Object.keys(siteSettings).filter(key => key.startsWith('mangaDetectionRule_'));
+      if (detectionRules.length > 0) {
+        settingsText += '【カスタム検出ルール】\n';
+        detectionRules.forEach(key => {
+          const hostname = key.replace('mangaDetectionRule_', '');
+          const rule = siteSettings[key] || {};
+          const attributes = (rule.attributes || []).join(',');
+          settingsText += `${hostname}: ${rule.selector}${attributes ? ` [${attributes}]` : ''}\n`;
+        });
+        settingsText += '\n';
+      }
+
       settingsText += '【グローバル設定】\n';
       settingsText += `背景色: ${siteSettings.mangaViewerBg || '#333333'}\n`;
       if (siteSettings.mangaViewerNiconicoThreshold) {
@@ -372,6 +702,105 @@ class PopupManager {
     }
   }
 
+  async exportSettings() {
+    try {
+      const bundle = await SiteSettingsStore.exportBundle();
+      const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `manga-viewer-settings-${bundle.exportedAt.slice(0, 10)}.json`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      this.showMessage(`${Object.keys(bundle.sites).length}サイトをエクスポートしました`, 'success');
+    } catch (error) {
+      console.error('Failed to export settings:', error);
+      this.showMessage('エクスポートに失敗しました', 'error');
+    }
+  }
+
+  async previewImport(file) {
+    const summary = document.getElementById('importSummary');
+    const list = document.getElementById('importList');
+    const preview = document.getElementById('importPreview');
+    try {
+      this.pendingImport = SiteSettingsStore.validateBundle(JSON.parse(await file.text()));
+    } catch (error) {
+      console.error('Failed to read settings file:', error);
+      this.pendingImport = null;
+      summary.textContent = `読込エラー: ${error instanceof SyntaxError ? 'JSONの形式が不正です' : error.message}`;
+      list.replaceChildren();
+      preview.style.display = 'block';
+      document.getElementById('applyImport').disabled = true;
+      return;
+    }
+
+    const rows = await SiteSettingsStore.diff(this.pendingImport);
+    const counts = { new: 0, same: 0, conflict: 0 };
+    const badges = { new: '新規', same: '同一', conflict: '競合' };
+    list.replaceChildren(...rows.map(row => {
+      counts[row.status]++;
+      const item = document.createElement('div');
+      item.className = 'import-row';
+
+      const host = document.createElement('span');
+      host.className = 'host';
+      host.textContent = row.host;
+      if (row.status === 'conflict') {
+        host.title = Object.keys(row.incoming)
+          .filter(field => JSON.stringify(row.existing[field]) !== JSON.stringify(row.incoming[field]))
+          .map(field => `${field}: ${JSON.stringify(row.existing[field])} → ${JSON.stringify(row.incoming[field])}`)
+          .join('\n');
+      }
+
+      const badge = document.createElement('span');
+      badge.className = `import-badge import-badge-${row.status}`;
+      badge.textContent = badges[row.status];
+
+      const select = document.createElement('select');
+      select.dataset.host = row.host;
+      select.innerHTML = '<option value="overwrite">上書き</option><option value="skip">スキップ</option>';
+      select.value = row.status === 'new' ? 'overwrite' : 'skip';
+      select.disabled = row.status === 'same';
+
+      item.append(host, badge, select);
+      return item;
+    }));
+
+    const warnings = this.pendingImport.warnings.length ? `\n⚠️ ${this.pendingImport.warnings.join('\n⚠️ ')}` : '';
+    summary.style.whiteSpace = 'pre-line';
+    summary.textContent = `新規 ${counts.new} / 競合 ${counts.conflict} / 同一 ${counts.same}${warnings}`;
+    document.getElementById('importGlobals').checked = false;
+    document.getElementById('importGlobals').disabled = !Object.keys(this.pendingImport.globals).length;
+    document.getElementById('applyImport').disabled = !rows.length && !Object.keys(this.pendingImport.globals).length;
+    preview.style.display = 'block';
+  }
+
+  async applyImport() {
+    if (!this.pendingImport) return;
+    try {
+      const decisions = {};
+      document.querySelectorAll('#importList select').forEach(select => {
+        decisions[select.dataset.host] = select.value;
+      });
+      const includeGlobals = document.getElementById('importGlobals').checked;
+      const applied = await SiteSettingsStore.applyImport(this.pendingImport, decisions, includeGlobals);
+      this.closeImportPreview();
+      await this.loadSettings();
+      await this.updateUI();
+      this.showMessage(`${applied.length}サイトを取り込みました`, 'success');
+    } catch (error) {
+      console.error('Failed to import settings:', error);
+      this.showMessage('インポートに失敗しました', 'error');
+    }
+  }
+
+  closeImportPreview() {
+    this.pendingImport = null;
+    document.getElementById('importPreview').style.display = 'none';
+    document.getElementById('importList').replaceChildren();
+  }
+
   async resetSiteSettings() {
     try {
       const confirmed = confirm(
@@ -381,13 +810,7 @@ class PopupManager {
       if (!confirmed) return;
       
       delete this.siteSettings[this.hostname];
-      await chrome.storage.sync.set({ mangaViewerDomains: this.siteSettings });
-      
-      const detectionKey = `mangaDetectionMode_${this.hostname}`;
-      await chrome.storage.sync.remove(detectionKey);
-      
-      const singlePageKey = `mangaViewerSinglePage_${this.hostname}`;
-      await chrome.storage.sync.remove(singlePageKey);
+      await SiteSettingsStore.removeSite(this.hostname);
       
       await chrome.tabs.reload(this.currentTab.id);
       
@@ -0,0 +1,93 @@
+// shortcuts.js - ビューアのコマンドと既定のキー割り当て (content script / options 共通)
+
+const ShortcutDefinitions = {
+  STORAGE_KEY: 'mangaViewerKeyBindings',
+  GAMEPAD_STORAGE_KEY: 'mangaViewerGamepadBindings',
+
+  // 数字キーと Enter / Backspace はページ番号の入力に使うため割り当てられない
+  RESERVED_KEYS: ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', 'Enter', 'Backspace'],
+
+  // 並び順は設定画面とヘルプの表示順。gamepad は Standard Gamepad の配置でのボタン番号
+  // PageUp / PageDown とメディアキーはプレゼン用リモコンが送るキー
+  COMMANDS: {
+    pageLeft: { label: '左のページへ（読む方向に応じて次／前）', defaults: ['ArrowLeft'], gamepad: [14] },
+    pageRight: { label: '右のページへ（読む方向に応じて次／前）', defaults: ['ArrowRight'], gamepad: [15] },
+    next: { label: '次のページ', defaults: ['Space', 'PageDown', 'MediaTrackNext'], gamepad: [5] },
+    prev: { label: '前のページ', defaults: ['Shift+Space', 'PageUp', 'MediaTrackPrevious'], gamepad: [4] },
+    nextSingle: { label: '1ページだけ進む', defaults: ['ArrowDown'], gamepad: [13] },
+    prevSingle: { label: '1ページだけ戻る', defaults: ['ArrowUp'], gamepad: [12] },
+    first: { label: '最初のページ', defaults: ['Home'] },
+    last: { label: '最後のページ', defaults: ['End'] },
+    toggleSpread: { label: '見開き／単ページの切り替え', defaults: ['s'] },
+    toggleBackground: { label: '背景色の切り替え', defaults: ['c'] },
+    fullscreen: { label: 'フルスクリーンの切り替え', defaults: ['f'] },
+    download: { label: 'ダウンロードパネルを開く', defaults: ['d'] },
+    loadAll: { label: '全読込', defaults: ['a'] },
+    overview: { label: 'ページ一覧', defaults: ['g'] },
+    bookmark: { label: 'しおりの追加／削除', defaults: ['b'] },
+    zoomIn: { label: '拡大', defaults: ['+', '='] },
+    zoomOut: { label: '縮小', defaults: ['-'] },
+    zoomReset: { label: '拡大をリセット', defaults: ['z'] },
+    loupe: { label: 'ルーペの切り替え', defaults: ['l'] },
+    compareFilters: { label: '画像補正と元画像の比較', defaults: ['o'] },
+    help: { label: 'ショートカット一覧', defaults: ['?'] },
+    close: { label: 'ビューアを閉じる', defaults: ['Escape'], gamepad: [8] }
+  },
+
+  GAMEPAD_BUTTON_NAMES: ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', '十字↑', '十字↓', '十字←', '十字→', 'Home'],
+
+  // KeyboardEvent を "Ctrl+Shift+ArrowLeft" のような文字列にする。
+  // 記号など1文字のキーは Shift を含んだ文字そのもの（"?" など）で表す
+  fromEvent(event) {
+    if (['Control', 'Shift', 'Alt', 'Meta'].includes(event.key)) return null;
+    const key = event.key === ' ' ? 'Space' : event.key;
+    const modifiers = [];
+    if (event.ctrlKey) modifiers.push('Ctrl');
+    if (event.altKey) modifiers.push('Alt');
+    if (event.metaKey) modifiers.push('Meta');
+    if (event.shiftKey && key.length > 1) modifiers.push('Shift');
+    return [...modifiers, key].join('+');
+  },
+
+  format(key) {
+    const names = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Space: 'スペース', Escape: 'Esc', MediaTrackNext: '⏭', MediaTrackPrevious: '⏮' };
+    // "Ctrl++" のように + キー自体を含む場合も正しく区切る
+    return key.split(/\+(?=.)/).map(part => names[part] || part).join(' + ');
+  },
+
+  formatButton(button) {
+    return this.GAMEPAD_BUTTON_NAMES[button] || `ボタン${button}`;
+  },
+
+  isReserved(key) {
+    return this.RESERVED_KEYS.includes(key);
+  },
+
+  // 保存されていないコマンドは既定の割り当てを使う
+  resolve(stored) {
+    const bindings = {};
+    Object.entries(this.COMMANDS).forEach(([command, def]) => {
+      const keys = stored?.[command];
+      bindings[command] = Array.isArray(keys) ? keys.filter(key => typeof key === 'string' && !this.isReserved(key)) : [...def.defaults];
+    });
+    return bindings;
+  },
+
+  resolveGamepad(stored) {
+    const bindings = {};
+    Object.entries(this.COMMANDS).forEach(([command, def]) => {
+      const buttons = stored?.[command];
+      bindings[command] = Array.isArray(buttons) ? buttons.filter(Number.isInteger) : [...(def.gamepad || [])];
+    });
+    return bindings;
+  },
+
+  // キー（またはボタン番号）からコマンドへの逆引き表
+  buildKeyMap(bindings) {
+    const keyMap = {};
+    Object.entries(bindings).forEach(([command, keys]) => {
+      keys.forEach(key => { if (!keyMap[key]) keyMap[key] = command; });
+    });
+    return keyMap;
+  }
+};
@@ -0,0 +1,254 @@
+// site-settings.js - サイト別設定の収集・エクスポート・インポート (popup / options 共通)
+
+const SiteSettingsStore = {
+  BUNDLE_FORMAT: 'manga-viewer-site-settings',
+  BUNDLE_VERSION: 1,
+
+  // chrome.storage.sync に `<prefix><hostname>` で保存されるサイト別設定
+  SITE_FIELDS: {
+    detectionMode: {
+      prefix: 'mangaDetectionMode_',
+      validate: value => typeof value === 'string' && value.length > 0
+    },
+    singlePage: {
+      prefix: 'mangaViewerSinglePage_',
+      decode: value => value === 'true',
+      encode: value => value ? 'true' : 'false',
+      validate: value => typeof value === 'boolean'
+    },
+    detectionRule: {
+      prefix: 'mangaDetectionRule_',
+      validate: value => !!value && typeof value === 'object' && typeof value.selector === 'string' && value.selector.length > 0
+    },
+    tileRule: {
+      prefix: 'mangaTileRule_',
+      validate: value => !!value && typeof value === 'object' && (typeof value.selector === 'string' || typeof value.include === 'string')
+        && Number.isInteger(value.columns) && Number.isInteger(value.rows) && Array.isArray(value.permutation)
+    },
+    chapterSelector: {
+      prefix: 'mangaChapterSelector_',
+      validate: value => !!value && typeof value === 'object' && ['next', 'prev'].every(key => value[key] === undefined || typeof value[key] === 'string')
+    },
+    scrollMode: {
+      prefix: 'mangaViewerScrollMode_',
+      decode: value => value === 'true',
+      encode: value => value ? 'true' : 'false',
+      validate: value => typeof value === 'boolean'
+    },
+    readingDirection: {
+      prefix: 'mangaViewerDirection_',
+      validate: value => value === 'rtl' || value === 'ltr'
+    },
+    coverAlone: {
+      prefix: 'mangaViewerCoverAlone_',
+      decode: value => value === 'true',
+      encode: value => value ? 'true' : 'false',
+      validate: value => typeof value === 'boolean'
+    },
+    tapZones: {
+      prefix: 'mangaViewerTapZones_',
+      validate: value => ['halves', 'columns', 'lshape', 'edges'].includes(value)
+    },
+    imageFilters: {
+      prefix: 'mangaViewerFilters_',
+      validate: value => !!value && typeof value === 'object'
+        && ['brightness', 'contrast', 'gamma', 'grayscale', 'sepia', 'sharpen'].every(key => value[key] === undefined || typeof value[key] === 'number')
+        && (value.invert === undefined || typeof value.invert === 'boolean')
+    },
+    autoCrop: {
+      prefix: 'mangaViewerAutoCrop_',
+      decode: value => value === 'true',
+      encode: value => value ? 'true' : 'false',
+      validate: value => typeof value === 'boolean'
+    },
+    stitchMode: {
+      prefix: 'mangaViewerStitch_',
+      validate: value => typeof value === 'string' && /^(auto|[2-9]|\d+x\d+)$/.test(value)
+    }
+  },
+
+  DETECTION_MODE_NAMES: {
+    'auto': '自動検出',
+    'smart': 'スマート検出',
+    'deep-scan': 'ディープスキャン',
+    'basic': '基本型',
+    'background': '背景画像型',
+    'frame-reader': 'フレーム型',
+    'reading-content': 'エリア型',
+    'chapter-content': 'チャプター型',
+    'manga-reader': 'リーダー型',
+    'entry-content': 'エントリー型',
+    'niconico-seiga': 'Canvasモード',
+    'custom': 'カスタムルール',
+    'tile-shuffle': 'タイル復元',
+    'css-sprite': 'スプライト型'
+  },
+
+  // 既定値から変更されている補正だけを「明るさ 110%」のように並べる
+  describeImageFilters(filters) {
+    const parts = [];
+    if (filters.brightness !== undefined && filters.brightness !== 100) parts.push(`明るさ ${filters.brightness}%`);
+    if (filters.contrast !== undefined && filters.contrast !== 100) parts.push(`コントラスト ${filters.contrast}%`);
+    if (filters.gamma !== undefined && filters.gamma !== 1) parts.push(`ガンマ ${filters.gamma}`);
+    if (filters.grayscale) parts.push(`グレースケール ${filters.grayscale}%`);
+    if (filters.sepia) parts.push(`セピア ${filters.sepia}%`);
+    if (filters.sharpen) parts.push(`シャープ ${filters.sharpen}`);
+    if (filters.invert) parts.push('白黒反転');
+    return parts.join('、');
+  },
+
+  GLOBAL_FIELDS: {
+    mangaViewerBg: value => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value),
+    mangaViewerNiconicoThreshold: value => !isNaN(parseFloat(value)),
+    mangaViewerAutoScrollSpeed: value => parseInt(value) > 0,
+    mangaViewerFitMode: value => ['page', 'width', 'height', 'original'].includes(value),
+    mangaViewerZoomPersist: value => value === 'true' || value === 'false',
+    mangaViewerPreloadDistance: value => parseInt(value) >= 0,
+    mangaViewerCropTolerance: value => parseInt(value) >= 0 && parseInt(value) <= 100,
+    mangaViewerKeyBindings: value => !!value && typeof value === 'object' && Object.values(value).every(keys => Array.isArray(keys) && keys.every(key => typeof key === 'string')),
+    mangaViewerGamepadBindings: value => !!value && typeof value === 'object' && Object.values(value).every(buttons => Array.isArray(buttons) && buttons.every(Number.isInteger))
+  },
+
+  isValidHost(host) {
+    return typeof host === 'string' && /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*(:\d+)?$/i.test(host);
+  },
+
+  // `*.example.com` は example.com 自身とその全サブドメインに一致する
+  matchesHost(pattern, hostname) {
+    if (!pattern.startsWith('*.')) return pattern === hostname;
+    const base = pattern.slice(2);
+    return hostname === base || hostname.endsWith(`.${base}`);
+  },
+
+  async collectSites() {
+    const all = await chrome.storage.sync.get();
+    const sites = {};
+    const siteOf = (host) => (sites[host] = sites[host] || {});
+
+    Object.entries(all.mangaViewerDomains || {}).forEach(([host, mode]) => {
+      siteOf(host).siteMode = mode;
+    });
+    Object.entries(this.SITE_FIELDS).forEach(([field, def]) => {
+      Object.keys(all).filter(key => key.startsWith(def.prefix)).forEach(key => {
+        const host = key.slice(def.prefix.length);
+        siteOf(host)[field] = def.decode ? def.decode(all[key]) : all[key];
+      });
+    });
+    return sites;
+  },
+
+  collectGlobals() {
+    return chrome.storage.sync.get(Object.keys(this.GLOBAL_FIELDS));
+  },
+
+  async exportBundle() {
+    return {
+      format: this.BUNDLE_FORMAT,
+      version: this.BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      sites: await this.collectSites(),
+      globals: await this.collectGlobals()
+    };
+  },
+
+  // 不正な項目は取り除き、警告として返す
+  validateBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object' || bundle.format !== this.BUNDLE_FORMAT) {
+      throw new Error('Manga Viewerの設定ファイルではありません');
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version < 1 || bundle.version > this.BUNDLE_VERSION) {
+      throw new Error(`未対応のバージョンです (v${bundle.version})`);
+    }
+    if (!bundle.sites || typeof bundle.sites !== 'object') {
+      throw new Error('サイト設定が含まれていません');
+    }
+
+    const warnings = [], sites = {}, globals = {};
+    Object.entries(bundle.sites).forEach(([host, settings]) => {
+      if (!this.isValidHost(host) || !settings || typeof settings !== 'object') {
+        warnings.push(`${host}: 不正なホスト名のためスキップ`);
+        return;
+      }
+      const clean = {};
+      if (settings.siteMode !== undefined) {
+        if (settings.siteMode === 'show' || settings.siteMode === 'hide') clean.siteMode = settings.siteMode;
+        else warnings.push(`${host}: siteMode が不正です`);
+      }
+      Object.entries(this.SITE_FIELDS).forEach(([field, def]) => {
+        if (settings[field] === undefined) return;
+        if (def.validate(settings[field])) clean[field] = settings[field];
+        else warnings.push(`${host}: ${field} が不正です`);
+      });
+      if (Object.keys(clean).length) sites[host.toLowerCase()] = clean;
+    });
+    Object.entries(bundle.globals || {}).forEach(([key, value]) => {
+      if (this.GLOBAL_FIELDS[key]?.(value)) globals[key] = value;
+      else warnings.push(`${key}: 不正なグローバル設定のためスキップ`);
+    });
+    return { sites, globals, warnings };
+  },
+
+  // ホストごとに new / same / conflict を判定する
+  async diff(imported) {
+    const current = await this.collectSites();
+    return Object.entries(imported.sites).map(([host, incoming]) => {
+      const existing = current[host];
+      if (!existing) return { host, status: 'new', incoming };
+      const same = Object.keys(incoming).every(field => JSON.stringify(existing[field]) === JSON.stringify(incoming[field]));
+      return { host, status: same ? 'same' : 'conflict', existing, incoming };
+    });
+  },
+
+  async writeSite(host, settings, domains) {
+    if (settings.siteMode !== undefined) domains[host] = settings.siteMode;
+    const values = {};
+    Object.entries(this.SITE_FIELDS).forEach(([field, def]) => {
+      if (settings[field] === undefined) return;
+      values[`${def.prefix}${host}`] = def.encode ? def.encode(settings[field]) : settings[field];
+    });
+    if (Object.keys(values).length) await chrome.storage.sync.set(values);
+  },
+
+  // decisions: { [host]: 'overwrite' | 'skip' }, includeGlobals: グローバル設定も上書きするか
+  async applyImport(imported, decisions, includeGlobals = false) {
+    const result = await chrome.storage.sync.get('mangaViewerDomains');
+    const domains = result.mangaViewerDomains || {};
+    const applied = [];
+    for (const [host, settings] of Object.entries(imported.sites)) {
+      if (decisions[host] !== 'overwrite') continue;
+      await this.writeSite(host, settings, domains);
+      applied.push(host);
+    }
+    await chrome.storage.sync.set({ mangaViewerDomains: domains });
+    if (includeGlobals && Object.keys(imported.globals).length) await chrome.storage.sync.set(imported.globals);
+    return applied;
+  },
+
+  // changes の値が null の項目は削除、undefined の項目は変更しない
+  async updateSite(host, changes) {
+    const result = await chrome.storage.sync.get('mangaViewerDomains');
+    const domains = result.mangaViewerDomains || {};
+    if (changes.siteMode === null) delete domains[host];
+    else if (changes.siteMode !== undefined) domains[host] = changes.siteMode;
+    const values = {}, removed = [];
+    Object.entries(this.SITE_FIELDS).forEach(([field, def]) => {
+      if (changes[field] === null) removed.push(`${def.prefix}${host}`);
+      else if (changes[field] !== undefined) values[`${def.prefix}${host}`] = def.encode ? def.encode(changes[field]) : changes[field];
+    });
+    await chrome.storage.sync.set({ mangaViewerDomains: domains, ...values });
+    if (removed.length) await chrome.storage.sync.remove(removed);
+  },
+
+  async collectLastUsed() {
+    const result = await chrome.storage.local.get('mangaViewerLastUsed');
+    return result.mangaViewerLastUsed || {};
+  },
+
+  async removeSite(host) {
+    const result = await chrome.storage.sync.get('mangaViewerDomains');
+    const domains = result.mangaViewerDomains || {};
+    delete domains[host];
+    await chrome.storage.sync.set({ mangaViewerDomains: domains });
+    await chrome.storage.sync.remove(Object.values(this.SITE_FIELDS).map(def => `${def.prefix}${host}`));
+  }
+};
@@ -0,0 +1,19 @@
+// viewer-modes.js - ビューアの表示モードの名称 (content script / options 共通)
+
+const ViewerModes = {
+  TAP_ZONE_NAMES: {
+    'halves': '左右2分割',
+    'columns': '3列（中央でメニュー）',
+    'lshape': 'L字（上端でメニュー）',
+    'edges': '両端のみ'
+  },
+
+  STITCH_MODE_NAMES: {
+    'auto': '自動で結合',
+    '2': '2枚ずつ縦に結合',
+    '3': '3枚ずつ縦に結合',
+    '4': '4枚ずつ縦に結合',
+    '2x2': '2×2のタイルを結合',
+    '3x3': '3×3のタイルを結合'
+  }
+};